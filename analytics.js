@@ -0,0 +1,155 @@
+/*
+  Aggregations over local session history (records from HistoryDB's
+  "sessions" store). Pure functions, no I/O; exposed as `Analytics` on
+  globalThis for the dashboard and other extension pages.
+
+  Units: activeMs/wallMs are milliseconds; expectedTime comes from
+  /detect in seconds.
+
+  A problem is identified by its canonical problemKey (see problem-url.js);
+  records written before it existed fall back to problemId, then URL.
+*/
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const Analytics = {
+  // Local calendar day, "YYYY-MM-DD"
+  dayKey(ts) {
+    const d = new Date(ts);
+    const mm = String(d.getMonth() + 1).padStart(2, "0");
+    const dd = String(d.getDate()).padStart(2, "0");
+    return `${d.getFullYear()}-${mm}-${dd}`;
+  },
+
+  // Day keys from `days - 1` days ago through today, oldest first
+  lastDays(days, now = Date.now()) {
+    const out = [];
+    const today = new Date(now);
+    today.setHours(12, 0, 0, 0); // midday keeps DST shifts from skipping a day
+    for (let i = days - 1; i >= 0; i--) {
+      out.push(this.dayKey(today.getTime() - i * DAY_MS));
+    }
+    return out;
+  },
+
+  problemKey(session) {
+    return session.problemKey || session.problemId || session.url || session.sessionId;
+  },
+
+  isAccepted(session) {
+    return session.finalVerdict === "Accepted" || !!session.firstAccepted;
+  },
+
+  // { "YYYY-MM-DD": { leetcode: ms, hackerrank: ms, ... } }
+  timeByDayAndPlatform(sessions) {
+    const out = {};
+    for (const s of sessions) {
+      const day = this.dayKey(s.startTime);
+      const platform = s.platform || "unknown";
+      out[day] = out[day] || {};
+      out[day][platform] = (out[day][platform] || 0) + (s.activeMs || 0);
+    }
+    return out;
+  },
+
+  // Session counts per final verdict, plus distinct problems solved vs only attempted
+  verdictBreakdown(sessions) {
+    const byVerdict = {};
+    const problems = new Map(); // problem key -> solved?
+    for (const s of sessions) {
+      const verdict = s.finalVerdict || "No verdict";
+      byVerdict[verdict] = (byVerdict[verdict] || 0) + 1;
+
+      const key = this.problemKey(s);
+      problems.set(key, problems.get(key) || this.isAccepted(s));
+    }
+    const solved = Array.from(problems.values()).filter(Boolean).length;
+    return { byVerdict, solved, attempted: problems.size - solved };
+  },
+
+  // Average runs and submissions a session needed to reach its first Accepted
+  attemptsBeforeAccepted(sessions) {
+    const accepted = sessions.filter(s => this.isAccepted(s));
+    if (accepted.length === 0) return { sessions: 0, avgRuns: null, avgSubmissions: null };
+
+    // Sessions recorded before firstAccepted existed fall back to final counters
+    const snapshot = (s) => s.firstAccepted || s.counters || {};
+    const sum = (pick) => accepted.reduce((acc, s) => acc + (pick(snapshot(s)) || 0), 0);
+    return {
+      sessions: accepted.length,
+      avgRuns: sum(c => c.runs) / accepted.length,
+      avgSubmissions: sum(c => c.submissions) / accepted.length
+    };
+  },
+
+  // Actual active time against the detected expectation, newest first
+  expectedVsActual(sessions) {
+    const rows = sessions
+      .filter(s => s.expectedTime > 0)
+      .map(s => {
+        const actualMs = this.isAccepted(s) && s.firstAccepted ? s.firstAccepted.activeMs : s.activeMs || 0;
+        const expectedMs = s.expectedTime * 1000;
+        return {
+          sessionId: s.sessionId,
+          problemTitle: s.problemTitle,
+          platform: s.platform,
+          startTime: s.startTime,
+          solved: this.isAccepted(s),
+          expectedMs,
+          actualMs,
+          ratio: actualMs / expectedMs
+        };
+      })
+      .sort((a, b) => b.startTime - a.startTime);
+
+    const solved = rows.filter(r => r.solved);
+    const avgRatio = solved.length
+      ? solved.reduce((acc, r) => acc + r.ratio, 0) / solved.length
+      : null;
+    return { rows, avgRatio };
+  },
+
+  /*
+    [{ language, activeMs, sessions, accepted, acceptanceRate }], most time
+    first. A session counts toward every language it spent active time in;
+    its Accepted goes to the language it was accepted in. Sessions recorded
+    without a language are grouped as "Unknown".
+  */
+  languageBreakdown(sessions) {
+    const rows = new Map();
+    const row = (language) => {
+      if (!rows.has(language)) rows.set(language, { language, activeMs: 0, sessions: 0, accepted: 0 });
+      return rows.get(language);
+    };
+    for (const s of sessions) {
+      const times = s.languageMs && Object.keys(s.languageMs).length
+        ? s.languageMs
+        : { [s.language || "Unknown"]: s.activeMs || 0 };
+      for (const [language, ms] of Object.entries(times)) {
+        const r = row(language);
+        r.activeMs += ms || 0;
+        r.sessions++;
+      }
+      if (this.isAccepted(s)) {
+        const language = s.firstAccepted?.language || s.language || "Unknown";
+        if (!(language in times)) row(language).sessions++;
+        row(language).accepted++;
+      }
+    }
+    return Array.from(rows.values())
+      .map(r => ({ ...r, acceptanceRate: r.sessions ? r.accepted / r.sessions : null }))
+      .sort((a, b) => b.activeMs - a.activeMs);
+  },
+
+  // [{ day, ms }] for every day in the window, zero-filled, oldest first
+  heatmap(sessions, days = 365, now = Date.now()) {
+    const totals = {};
+    for (const s of sessions) {
+      const day = this.dayKey(s.startTime);
+      totals[day] = (totals[day] || 0) + (s.activeMs || 0);
+    }
+    return this.lastDays(days, now).map(day => ({ day, ms: totals[day] || 0 }));
+  }
+};
+
+globalThis.Analytics = Analytics;
@@ -6,11 +6,97 @@
   - Retry queue with exponential backoff + jitter
   - Online/offline awareness
   - Heartbeats at configurable interval
+  - Session state persisted to chrome.storage.session so it survives worker shutdown
+  - Heartbeats and retry sweeps driven by chrome.alarms (timers die with the worker)
+  - Events buffered in an outbox and delivered in batches
+  - Each event carries a client event ID and per-session sequence number so
+    redeliveries can be deduplicated server-side
+  - Events that exhaust their retries move to a persisted dead-letter store
+    for inspection and replay from the options page
+  - Local history (events, sessions, problems) kept in IndexedDB via HistoryDB
+  - Imports of exported files merge into history, optionally re-sending
+    events the backend never acknowledged
+  - Sessions whose /detect fails get a provisional problem ID; their events
+    are held locally and remapped to the real ID once detection succeeds
+  - /detect results cached in a local problem registry keyed by canonical
+    problem URL, with a TTL
+  - Problem pages are identified by ProblemUrl's canonical key, so sub-pages
+    and URL variants of one problem are the same problem
+  - Platform knowledge (hosts, URLs, readers, verdicts) comes from the
+    adapters in platforms.js
+  - User-defined platforms get the content script through
+    chrome.scripting once the user grants their host permission
+  - Opt-in network capture registers main-world scripts that read a
+    platform's own result responses (LeetCode)
+  - Opt-in code snapshots keep submitted code in local history, linked to
+    the session and verdict
+  - Problem metadata read from the page (number, difficulty or rating,
+    topic tags, premium) goes to /detect and is kept in the registry
+  - Openings of a problem's editorial, solutions and hints are recorded
+    per session (usedEditorial / usedHints on ProblemSessionEnded)
+  - The editor language comes from each platform's language picker (or
+    the network capture); active time is split per language
 */
 
+import "./history-db.js";
+import "./platforms.js";
+import "./problem-url.js";
+
+const ALARM_HEARTBEAT = "heartbeat";
+const ALARM_RETRY_SWEEP = "retry-sweep";
+const ALARM_HISTORY_PRUNE = "history-prune";
+
+// Chrome will not fire alarms more often than every 30s
+const MIN_ALARM_PERIOD_MINUTES = 0.5;
+
+// Message types answered asynchronously through sendResponse
+const ASYNC_RESPONSE_TYPES = new Set([
+  "GET_SESSION_INFO",
+  "LIST_SESSIONS",
+  "TOGGLE_SESSION",
+  "END_SESSION",
+  "GET_DEAD_LETTERS",
+  "REPLAY_DEAD_LETTERS",
+  "DISCARD_DEAD_LETTERS",
+  "IMPORT_HISTORY",
+  "INVALIDATE_PROBLEM_CACHE"
+]);
+
+// Panels whose opening is recorded: see each adapter's helpPanels
+const HELP_PANELS = ["editorial", "solutions", "hints"];
+
+// Delivery attempts before an event is moved to the dead-letter store
+const MAX_RETRIES = 5;
+
+// Outbox is flushed once it holds this many events or its oldest is this old
+const BATCH_MAX_EVENTS = 20;
+const BATCH_MAX_AGE_MS = 10000;
+
+// How long a cached /detect result is trusted before asking again
+const PROBLEM_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Registered content script for user-defined platforms, and the files it
+// loads (same order as the manifest's built-in entry)
+const CUSTOM_CONTENT_SCRIPT_ID = "custom-platforms";
+const CONTENT_SCRIPT_FILES = ["platforms.js", "problem-url.js", "content.js"];
+
+// Registered main-world scripts: network capture is "network-<platform>",
+// the editor reader for code snapshots is one script for every platform
+const NETWORK_SCRIPT_ID_PREFIX = "network-";
+const EDITOR_READER_SCRIPT_ID = "editor-reader";
+
+// Larger code snapshots are not stored
+const CODE_SNAPSHOT_MAX_BYTES = 64 * 1024;
+
+// Problem IDs minted locally while /detect is unreachable start with this
+const PROVISIONAL_ID_PREFIX = "local:";
+
+// Title content.js sends before the page has rendered the real one
+const PLACEHOLDER_TITLE = "(loading...)";
+
 class BackgroundManager {
   constructor() {
-    // Per-tab session states
+    // Per-tab session states (mirrored to chrome.storage.session)
     this.activeSessions = new Map();
 
     // User-configurable settings (synced via options page)
@@ -19,36 +105,67 @@ class BackgroundManager {
       apiKey: "",
       userId: "",                 // required to post events
       idleThreshold: 60000,       // ms
-      heartbeatInterval: 30000    // ms
+      heartbeatInterval: 30000,   // ms
+      historyRetentionDays: 180,  // local history older than this is pruned
+      networkCapture: false,      // read results from platform responses (see syncMainWorldScripts)
+      codeSnapshots: false        // keep submitted code in local history
     };
 
+    // Local event/session/problem history
+    this.history = new HistoryDB();
+
+    // Events waiting for the next batch flush (mirrored to chrome.storage.local)
+    this.outbox = [];
+    this.flushTimer = null;
+    this.flushing = null;
+
     // Retry queue for failed POSTs
     this.retryQueue = [];
     this.retryTimer = null;
 
+    // Events that exhausted their retries (mirrored to chrome.storage.local)
+    this.deadLetters = [];
+
+    // Provisional problem ID -> { platform, problemTitle, problemUrl, createdAt }
+    // still waiting for /detect, and the events held back until it answers
+    // (both mirrored to chrome.storage.local)
+    this.provisionalProblems = {};
+    this.heldEvents = [];
+
     // Connectivity flag for queue processing
     this.isOnline = true; // default true; we’ll probe via navigator and events
 
-    // Interval handles
-    this.heartbeatIntervalHandle = null;
-    this.queueSweepIntervalHandle = null;
-
-    // Initialize
-    this.init();
+    // Initialize; handlers wait on this before touching state
+    this.ready = this.init();
   }
 
   async init() {
+    // Listeners must be registered synchronously so events that wake the
+    // worker are not missed; they wait on this.ready before running.
+    this.setupMessageListeners();
+    this.setupTabListeners();
+    this.setupNetworkListeners();
+    this.setupAlarmListeners();
+    this.setupCustomPlatformListeners();
+
     await this.loadSettings();
+    await Platforms.loadStoredCustom();
+    await this.loadOutbox();
     await this.loadRetryQueue();
+    await this.loadDeadLetters();
+    await this.loadProvisional();
+    await this.loadSessions();
 
     this.isOnline = typeof navigator !== "undefined" ? !!navigator.onLine : true;
 
-    this.setupMessageListeners();
-    this.setupTabListeners();
-    this.setupNetworkListeners();
+    await this.syncHeartbeatAlarm();
+    await this.syncRetrySweepAlarm();
+    this.scheduleFlush();
 
-    this.startHeartbeatProcessor();
-    this.startRetryProcessor();
+    await this.migrateLegacyEvents();
+    await this.ensurePruneAlarm();
+    await this.syncCustomContentScripts();
+    await this.syncMainWorldScripts();
 
     // Optional: initial log
     console.log("[bg] initialized with settings:", this.settings);
@@ -68,8 +185,18 @@ class BackgroundManager {
 
   async updateSettings(settings) {
     try {
+      const prevHeartbeat = this.settings.heartbeatInterval;
       this.settings = { ...this.settings, ...settings };
       await chrome.storage.sync.set(settings);
+      if (this.settings.heartbeatInterval !== prevHeartbeat) {
+        await this.syncHeartbeatAlarm(true);
+      }
+      if ("historyRetentionDays" in settings) {
+        await this.pruneHistory();
+      }
+      if ("networkCapture" in settings || "codeSnapshots" in settings) {
+        await this.syncMainWorldScripts();
+      }
       console.log("[bg] settings updated:", settings);
     } catch (err) {
       console.error("[bg] updateSettings error:", err.message);
@@ -81,69 +208,132 @@ class BackgroundManager {
   setupMessageListeners() {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       const tabId = sender?.tab?.id ?? null;
-
-      switch (message?.type) {
-        case "SESSION_START":
-          this.handleSessionStart(message.data, tabId);
-          break;
-
-        case "ACTIVITY_PING":
-          this.handleActivityPing(message.data, tabId);
-          break;
-
-        case "FOCUS_CHANGE":
-          this.handleFocusChange(message.data, tabId);
-          break;
-
-        case "RUN_CLICKED":
-          this.handleRunClicked(message.data, tabId);
-          break;
-
-        case "SUBMIT_CLICKED":
-          this.handleSubmitClicked(message.data, tabId);
-          break;
-
-        case "VERDICT_DETECTED":
-          this.handleVerdictDetected(message.data, tabId);
-          break;
-
-        case "SESSION_END":
-          this.handleSessionEnd(message.data, tabId);
-          break;
-
-        case "GET_SESSION_INFO":
-          this.getSessionInfo(tabId, sendResponse);
-          return true; // async response
-
-        case "SETTINGS_UPDATED":
-          this.updateSettings(message.settings);
-          break;
-
-        // Legacy fallback
-        case "BACKEND_EVENT":
-          this.handleBackendEvent(message.eventType, message.data, tabId);
-          break;
-      }
+      // Keep the channel open; the response is sent once init has finished
+      this.ready.then(() => this.handleMessage(message, tabId, sendResponse));
+      return ASYNC_RESPONSE_TYPES.has(message?.type);
     });
   }
 
+  handleMessage(message, tabId, sendResponse) {
+    // Extension pages (popup) have no sender tab and name the tab explicitly
+    const targetTabId = message?.tabId ?? tabId;
+
+    switch (message?.type) {
+      case "SESSION_START":
+        this.handleSessionStart(message.data, tabId);
+        break;
+
+      case "ACTIVITY_PING":
+        this.handleActivityPing(message.data, tabId);
+        break;
+
+      case "FOCUS_CHANGE":
+        this.handleFocusChange(message.data, tabId);
+        break;
+
+      case "RUN_CLICKED":
+        this.handleRunClicked(message.data, tabId);
+        break;
+
+      case "SUBMIT_CLICKED":
+        this.handleSubmitClicked(message.data, tabId);
+        break;
+
+      case "CODE_SNAPSHOT":
+        this.handleCodeSnapshot(message.data, tabId);
+        break;
+
+      case "VERDICT_DETECTED":
+        this.handleVerdictDetected(message.data, tabId);
+        break;
+
+      case "LANGUAGE_CHANGED":
+        this.handleLanguageChanged(message.data, tabId);
+        break;
+
+      case "HELP_OPENED":
+        this.handleHelpOpened(message.data, tabId);
+        break;
+
+      case "SESSION_END":
+        this.handleSessionEnd(message.data, tabId);
+        break;
+
+      case "GET_SESSION_INFO":
+        this.getSessionInfo(targetTabId, sendResponse);
+        break;
+
+      case "LIST_SESSIONS":
+        this.listSessions(sendResponse);
+        break;
+
+      case "TOGGLE_SESSION":
+        this.toggleSessionPause(targetTabId, sendResponse);
+        break;
+
+      case "END_SESSION":
+        this.endSessionOnRequest(targetTabId, message.reason || "manual", sendResponse);
+        break;
+
+      case "SETTINGS_UPDATED":
+        this.updateSettings(message.settings);
+        break;
+
+      case "GET_DEAD_LETTERS":
+        sendResponse({ success: true, data: this.deadLetters });
+        break;
+
+      case "REPLAY_DEAD_LETTERS":
+        this.replayDeadLetters(message.ids, message.edits)
+          .then((count) => sendResponse({ success: true, count }))
+          .catch((err) => sendResponse({ success: false, message: err.message }));
+        break;
+
+      case "DISCARD_DEAD_LETTERS":
+        this.discardDeadLetters(message.ids)
+          .then((count) => sendResponse({ success: true, count }))
+          .catch((err) => sendResponse({ success: false, message: err.message }));
+        break;
+
+      case "IMPORT_HISTORY":
+        this.importHistory(message.data, message.options)
+          .then((report) => sendResponse({ success: true, data: report }))
+          .catch((err) => sendResponse({ success: false, message: err.message }));
+        break;
+
+      case "INVALIDATE_PROBLEM_CACHE":
+        this.invalidateProblemCache(message.problemUrl)
+          .then(() => sendResponse({ success: true }))
+          .catch((err) => sendResponse({ success: false, message: err.message }));
+        break;
+
+      // Legacy fallback
+      case "BACKEND_EVENT":
+        this.handleBackendEvent(message.eventType, message.data, tabId);
+        break;
+    }
+  }
+
   // ------------- Tabs lifecycle -----------------
 
   setupTabListeners() {
     // Navigation done: if coding platform, ensure a session exists
-    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-      if (changeInfo.status === "complete" && this.isCodingPlatform(tab?.url)) {
+    chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+      await this.ready;
+      if (changeInfo.status === "complete" && Platforms.forUrl(tab?.url)) {
         this.ensureSession(tabId, tab.url);
       }
     });
 
     // Tab closed: end session
-    chrome.tabs.onRemoved.addListener((tabId) => {
-      this.endSession(tabId, false);
+    chrome.tabs.onRemoved.addListener(async (tabId) => {
+      await this.ready;
+      this.endSession(tabId, false, "tab_closed");
     });
 
     // Tab activated: mark focus for that tab’s session
-    chrome.tabs.onActivated.addListener((activeInfo) => {
+    chrome.tabs.onActivated.addListener(async (activeInfo) => {
+      await this.ready;
       const { tabId } = activeInfo;
       const s = this.activeSessions.get(tabId);
       if (s) {
@@ -152,14 +342,135 @@ class BackgroundManager {
     });
   }
 
+  // ------------- Custom platforms -----------------
+
+  setupCustomPlatformListeners() {
+    chrome.storage.onChanged.addListener(async (changes, area) => {
+      if (area !== "local" || !changes[Platforms.CUSTOM_PLATFORMS_KEY]) return;
+      await this.ready;
+      Platforms.loadCustom(changes[Platforms.CUSTOM_PLATFORMS_KEY].newValue || []);
+      await this.syncCustomContentScripts();
+      await this.syncMainWorldScripts();
+    });
+
+    chrome.permissions.onAdded.addListener(async ({ origins = [] }) => {
+      await this.ready;
+      await this.syncCustomContentScripts();
+      await this.syncMainWorldScripts();
+      await this.injectIntoOpenTabs(origins);
+    });
+
+    chrome.permissions.onRemoved.addListener(async () => {
+      await this.ready;
+      await this.syncCustomContentScripts();
+      await this.syncMainWorldScripts();
+    });
+  }
+
+  // Host patterns of custom platforms whose permission has been granted
+  async grantedCustomOrigins() {
+    const origins = [];
+    for (const adapter of Platforms.all().filter(a => a.custom)) {
+      const origin = Platforms.customOrigin(adapter.definition);
+      if (!origins.includes(origin) && await chrome.permissions.contains({ origins: [origin] })) {
+        origins.push(origin);
+      }
+    }
+    return origins;
+  }
+
+  // Register one content script covering every custom platform whose host
+  // permission has been granted; definitions without a grant are skipped
+  async syncCustomContentScripts() {
+    try {
+      const matches = await this.grantedCustomOrigins();
+
+      const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CUSTOM_CONTENT_SCRIPT_ID] });
+      if (registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [CUSTOM_CONTENT_SCRIPT_ID] });
+      }
+      if (matches.length === 0) return;
+
+      await chrome.scripting.registerContentScripts([{
+        id: CUSTOM_CONTENT_SCRIPT_ID,
+        matches,
+        js: CONTENT_SCRIPT_FILES,
+        runAt: "document_idle"
+      }]);
+      console.log("[bg] custom platform content script registered for:", matches);
+    } catch (err) {
+      console.error("[bg] syncCustomContentScripts error:", err.message);
+    }
+  }
+
+  // Opt-in scripts that run in the page's main world and talk to the
+  // background through content.js:
+  // - an adapter's networkScript while networkCapture is on
+  // - editor-reader.js on every tracked site while codeSnapshots is on
+  // Tabs pick up a change on their next load.
+  async syncMainWorldScripts() {
+    try {
+      const network = Platforms.all()
+        .filter(a => a.networkScript)
+        .map(a => ({
+          id: `${NETWORK_SCRIPT_ID_PREFIX}${a.id}`,
+          matches: a.hosts.map(h => `https://${h}/*`),
+          js: [a.networkScript],
+          world: "MAIN",
+          runAt: "document_start"
+        }));
+      const editorReader = {
+        id: EDITOR_READER_SCRIPT_ID,
+        matches: [...Platforms.matchPatterns(), ...await this.grantedCustomOrigins()],
+        js: ["editor-reader.js"],
+        world: "MAIN",
+        runAt: "document_idle"
+      };
+
+      const ids = [...network.map(s => s.id), editorReader.id];
+      const registered = await chrome.scripting.getRegisteredContentScripts({ ids });
+      if (registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: registered.map(s => s.id) });
+      }
+
+      const scripts = [
+        ...(this.settings.networkCapture ? network : []),
+        ...(this.settings.codeSnapshots ? [editorReader] : [])
+      ];
+      if (scripts.length === 0) return;
+
+      await chrome.scripting.registerContentScripts(scripts);
+      console.log("[bg] main-world scripts registered:", scripts.map(s => s.id));
+    } catch (err) {
+      console.error("[bg] syncMainWorldScripts error:", err.message);
+    }
+  }
+
+  // Tabs already open on a newly granted host would otherwise wait for a reload
+  async injectIntoOpenTabs(origins) {
+    if (origins.length === 0) return;
+    try {
+      const tabs = await chrome.tabs.query({ url: origins });
+      for (const tab of tabs) {
+        if (!Platforms.forUrl(tab.url)?.custom) continue;
+        await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: CONTENT_SCRIPT_FILES });
+      }
+    } catch (err) {
+      console.error("[bg] injectIntoOpenTabs error:", err.message);
+    }
+  }
+
   // ------------- Connectivity -----------------
 
   setupNetworkListeners() {
     // Note: service worker has no window, but navigator.onLine is available in worker
     // We’ll also re-check on intervals through retry processor.
     // If an environment sends online/offline events, handle them:
-    self.addEventListener("online", () => {
+    self.addEventListener("online", async () => {
+      await this.ready;
       this.isOnline = true;
+      await this.resolveProvisionalProblems();
+      await this.flushOutbox();
       this.processRetryQueue();
     });
     self.addEventListener("offline", () => {
@@ -167,80 +478,190 @@ class BackgroundManager {
     });
   }
 
-  // ------------- Session state -----------------
+  // ------------- Alarms -----------------
+
+  setupAlarmListeners() {
+    chrome.alarms.onAlarm.addListener(async (alarm) => {
+      await this.ready;
+      switch (alarm.name) {
+        case ALARM_HEARTBEAT:
+          await this.processHeartbeats();
+          break;
+
+        case ALARM_RETRY_SWEEP:
+          await this.resolveProvisionalProblems();
+          await this.flushOutbox();
+          await this.processRetryQueue();
+          break;
+
+        case ALARM_HISTORY_PRUNE:
+          await this.pruneHistory();
+          break;
+      }
+    });
+  }
+
+  alarmPeriodMinutes(ms) {
+    return Math.max(ms / 60000, MIN_ALARM_PERIOD_MINUTES);
+  }
 
-  isCodingPlatform(url) {
-    if (!url) return false;
-    let hostname;
+  // Arm while any session is live, clear otherwise. `force` re-creates the
+  // alarm even if one exists (used when the interval changes).
+  async syncHeartbeatAlarm(force = false) {
     try {
-      hostname = new URL(url).hostname;
-    } catch {
-      return false;
+      if (this.activeSessions.size === 0) {
+        await chrome.alarms.clear(ALARM_HEARTBEAT);
+        return;
+      }
+      const periodInMinutes = this.alarmPeriodMinutes(this.settings.heartbeatInterval);
+      const existing = await chrome.alarms.get(ALARM_HEARTBEAT);
+      if (!force && existing?.periodInMinutes === periodInMinutes) return;
+      await chrome.alarms.create(ALARM_HEARTBEAT, { periodInMinutes, delayInMinutes: periodInMinutes });
+    } catch (err) {
+      console.error("[bg] syncHeartbeatAlarm error:", err.message);
+    }
+  }
+
+  // Daily, for the lifetime of the install; first run shortly after startup
+  async ensurePruneAlarm() {
+    try {
+      if (await chrome.alarms.get(ALARM_HISTORY_PRUNE)) return;
+      await chrome.alarms.create(ALARM_HISTORY_PRUNE, { delayInMinutes: 1, periodInMinutes: 24 * 60 });
+    } catch (err) {
+      console.error("[bg] ensurePruneAlarm error:", err.message);
     }
-    return (
-      hostname.includes("leetcode.com") ||
-      hostname.includes("geeksforgeeks.org") ||
-      hostname.includes("hackerrank.com")
-    );
   }
 
+  // Sweep the outbox, retry queue and unresolved provisional problems every
+  // 30s while any of them has items
+  async syncRetrySweepAlarm() {
+    try {
+      const unresolved = Object.keys(this.provisionalProblems).length;
+      if (this.retryQueue.length === 0 && this.outbox.length === 0 && unresolved === 0) {
+        await chrome.alarms.clear(ALARM_RETRY_SWEEP);
+        return;
+      }
+      if (await chrome.alarms.get(ALARM_RETRY_SWEEP)) return;
+      await chrome.alarms.create(ALARM_RETRY_SWEEP, { periodInMinutes: MIN_ALARM_PERIOD_MINUTES });
+    } catch (err) {
+      console.error("[bg] syncRetrySweepAlarm error:", err.message);
+    }
+  }
+
+  // ------------- Session state -----------------
+
   ensureSession(tabId, url) {
-    if (!this.activeSessions.has(tabId)) {
+    const s = this.activeSessions.get(tabId);
+    if (!s) {
       this.initializeSession(tabId, url);
-    } else {
-      // Update URL on navigation within same tab
-      const s = this.activeSessions.get(tabId);
-      s.url = url;
+      return;
     }
+    // Status and other non-problem pages keep the session on its problem
+    if (!ProblemUrl.isProblemUrl(url)) return;
+
+    // Another problem in the same tab ("Next" on LeetCode) is a new session.
+    // Sub-pages of the problem (submissions, editorial) share its key, and a
+    // session begun on a non-problem page takes the first problem it reaches.
+    if (ProblemUrl.isProblemUrl(s.url) && !ProblemUrl.sameProblem(s.url, url)) {
+      this.endSession(tabId, false, "navigated");
+      this.initializeSession(tabId, url);
+      return;
+    }
+    s.url = ProblemUrl.url(url);
+    s.problemKey = ProblemUrl.key(url);
+    this.persistSessions();
   }
 
   initializeSession(tabId, url) {
     const now = Date.now();
     this.activeSessions.set(tabId, {
       tabId,
-      url,
+      sessionId: crypto.randomUUID(),
+      seq: 0,                     // last event sequence number issued
+      url: ProblemUrl.url(url),   // canonical problem URL
+      problemKey: ProblemUrl.key(url),
       startTime: now,
       wallStart: now,
       lastActivity: now,
       activeMs: 0,
       isActive: true,
       focused: true,
+      paused: false,              // manual pause from the popup
+      pausedAt: null,
+      pausedIntervals: [],        // closed [{ start, end }] pauses
       counters: { keystrokes: 0, runs: 0, submissions: 0 },
       finalVerdict: null,
+      firstAccepted: null,        // { at, activeMs, runs, submissions, language } at the first Accepted
+      runResults: this.emptyRunResults(),
+      lastSnapshot: null,         // { id, hash, awaitingVerdict, linkedVerdict } of the last code snapshot
+      language: null,             // editor language, normalized by Platforms.normalizeLanguage
+      languageMs: {},             // active ms banked per earlier language
+      languageMark: 0,            // activeMs when the current language was selected
+      helpOpened: {},             // panel -> { firstAt, activeMs, opens } for editorial, solutions, hints
       problemId: null,
       problemTitle: null,
+      metadata: null,             // { number, difficulty, rating, tags, premium } from the page
       expectedTime: null
     });
+    this.persistSessions();
+    this.syncHeartbeatAlarm();
     console.log("[bg] session initialized:", tabId);
   }
 
-  endSession(tabId, silent = false) {
+  // reason: "manual", "tab_closed", "navigated" (another problem in the
+  // same tab), or whatever the content script reports
+  endSession(tabId, silent = false, reason = null) {
     const s = this.activeSessions.get(tabId);
     if (!s) return;
 
     const now = Date.now();
     // Accumulate remaining active time if not idle
-    if (s.isActive && s.focused && now - s.lastActivity < this.settings.idleThreshold) {
+    if (this.isAccruing(s, now)) {
       s.activeMs += now - s.lastActivity;
     }
+    if (s.paused) {
+      s.pausedIntervals.push({ start: s.pausedAt, end: now });
+      s.paused = false;
+    }
     s.isActive = false;
     s.endTime = now;
+    s.endReason = reason;
     s.totalWallTime = now - s.wallStart;
+    this.recordSession(s, "ended");
 
     if (!silent && s.problemId && this.settings.userId) {
       this.safePostEvent("ProblemSessionEnded", {
         userId: this.settings.userId,
         problemId: s.problemId,
-        platform: this.platformFromUrl(s.url),
+        platform: Platforms.idForUrl(s.url),
         totalActiveMs: s.activeMs,
         totalWallTime: s.totalWallTime,
         finalVerdict: s.finalVerdict,
-        counters: s.counters
+        counters: s.counters,
+        runResults: s.runResults ?? this.emptyRunResults(),
+        language: s.language ?? null,
+        languageMs: this.languageTime(s, s.activeMs),
+        ...this.helpUsage(s),
+        reason,
+        pausedIntervals: s.pausedIntervals,
+        totalPausedMs: this.totalPausedMs(s, now)
       }, tabId);
     }
 
     this.activeSessions.delete(tabId);
-    console.log("[bg] session ended:", tabId);
+    this.persistSessions();
+    this.syncHeartbeatAlarm();
+    console.log("[bg] session ended:", tabId, reason);
+  }
+
+  // Time since lastActivity counts only when live, focused, not idle and not paused
+  isAccruing(s, now) {
+    return !s.paused && s.isActive && s.focused && now - s.lastActivity < this.settings.idleThreshold;
+  }
+
+  totalPausedMs(s, now = Date.now()) {
+    const closed = s.pausedIntervals.reduce((sum, p) => sum + (p.end - p.start), 0);
+    return closed + (s.paused ? now - s.pausedAt : 0);
   }
 
   markActivity(tabId) {
@@ -249,11 +670,12 @@ class BackgroundManager {
     const now = Date.now();
 
     // If still within idle threshold and focused, accrue active time
-    if (s.isActive && s.focused && now - s.lastActivity < this.settings.idleThreshold) {
+    if (this.isAccruing(s, now)) {
       s.activeMs += now - s.lastActivity;
     }
 
     s.lastActivity = now;
+    this.persistSessions();
   }
 
   markFocus(tabId, focused) {
@@ -261,16 +683,79 @@ class BackgroundManager {
     if (!s) return;
     this.markActivity(tabId);
     s.focused = !!focused;
+    this.persistSessions();
+  }
+
+  async pauseSession(tabId) {
+    const s = this.activeSessions.get(tabId);
+    if (!s || s.paused) return;
+    // Bank active time up to the pause, then stop the clock
+    this.markActivity(tabId);
+    s.paused = true;
+    s.pausedAt = Date.now();
+    this.persistSessions();
+
+    if (s.problemId && this.settings.userId) {
+      await this.safePostEvent("ProblemProgress", {
+        userId: this.settings.userId,
+        problemId: s.problemId,
+        event: "paused",
+        activeMsSinceStart: s.activeMs
+      }, tabId);
+    }
+  }
+
+  async resumeSession(tabId) {
+    const s = this.activeSessions.get(tabId);
+    if (!s || !s.paused) return;
+    const now = Date.now();
+    const pause = { start: s.pausedAt, end: now };
+    s.pausedIntervals.push(pause);
+    s.paused = false;
+    s.pausedAt = null;
+    // Restart the activity clock so the paused span is never accrued
+    s.lastActivity = now;
+    this.persistSessions();
+
+    if (s.problemId && this.settings.userId) {
+      await this.safePostEvent("ProblemProgress", {
+        userId: this.settings.userId,
+        problemId: s.problemId,
+        event: "resumed",
+        pausedMs: pause.end - pause.start
+      }, tabId);
+    }
+  }
+
+  async toggleSessionPause(tabId, sendResponse) {
+    try {
+      const s = this.activeSessions.get(tabId);
+      if (!s) {
+        sendResponse({ success: false, message: "No active session" });
+        return;
+      }
+      if (s.paused) {
+        await this.resumeSession(tabId);
+      } else {
+        await this.pauseSession(tabId);
+      }
+      sendResponse({ success: true, paused: s.paused });
+    } catch (err) {
+      sendResponse({ success: false, message: err.message });
+    }
   }
 
-  platformFromUrl(url) {
+  endSessionOnRequest(tabId, reason, sendResponse) {
     try {
-      const host = new URL(url).hostname;
-      if (host.includes("leetcode.com")) return "leetcode";
-      if (host.includes("geeksforgeeks.org")) return "geeksforgeeks";
-      if (host.includes("hackerrank.com")) return "hackerrank";
-    } catch {}
-    return "unknown";
+      if (!this.activeSessions.has(tabId)) {
+        sendResponse({ success: false, message: "No active session" });
+        return;
+      }
+      this.endSession(tabId, false, reason);
+      sendResponse({ success: true });
+    } catch (err) {
+      sendResponse({ success: false, message: err.message });
+    }
   }
 
   // ------------- Event handlers (from content script) -----------------
@@ -284,25 +769,45 @@ class BackgroundManager {
 
       // Attach problem title to session immediately
       s.problemTitle = data.problemTitle;
+      s.metadata = this.mergeMetadata(s.metadata, data.metadata);
+      if (data.language) this.switchLanguage(s, data.language);
 
       // Call detect to get problemId and expected time
-      const det = await this.detectProblem({
-        platform: data.platform || this.platformFromUrl(s.url),
+      const problem = {
+        platform: data.platform || Platforms.idForUrl(s.url),
         problemTitle: data.problemTitle,
-        problemUrl: data.problemUrl || s.url
-      });
+        problemUrl: s.url,
+        metadata: s.metadata
+      };
+      let det = null;
+      try {
+        det = await this.lookupProblem(problem);
+      } catch (err) {
+        console.warn("[bg] detect failed, using provisional problem ID:", err.message);
+      }
 
-      s.problemId = det.problemId;
-      s.expectedTime = det.expectedTime ?? det.expectedTimeMinutes ?? null;
+      const problemId = det?.problemId || await this.registerProvisionalProblem(problem);
+
+      // The tab may have moved to another problem while the lookup was in
+      // flight; that split ended `s`, and the new session sends its own start
+      if (this.activeSessions.get(tabId) !== s) return;
+
+      s.problemId = problemId;
+      s.expectedTime = det?.problemId ? det.expectedTime : null;
+      this.persistSessions();
+      this.recordSession(s);
+      this.recordProblem(s);
 
       if (this.settings.userId) {
         await this.safePostEvent("ProblemSessionStarted", {
           userId: this.settings.userId,
-          platform: data.platform || this.platformFromUrl(s.url),
+          platform: data.platform || Platforms.idForUrl(s.url),
           problemId: s.problemId,
           problemTitle: s.problemTitle,
           problemUrl: s.url,
-          expectedTime: s.expectedTime
+          expectedTime: s.expectedTime,
+          metadata: s.metadata ?? null,
+          language: s.language ?? null
         }, tabId);
       }
     } catch (err) {
@@ -314,10 +819,10 @@ class BackgroundManager {
   async handleActivityPing(_data, tabId) {
     try {
       if (!tabId) return;
-      this.markActivity(tabId);
       // Keystroke approximation
       const s = this.activeSessions.get(tabId);
       if (s) s.counters.keystrokes++;
+      this.markActivity(tabId);
       // Activity ping itself is not posted (heartbeats will carry counters)
     } catch (err) {
       console.warn("[bg] handleActivityPing error:", err.message);
@@ -383,21 +888,46 @@ class BackgroundManager {
   }
 
   async handleVerdictDetected(data, tabId) {
+    // A Run result is feedback on sample tests, not a submission verdict
+    if (data?.kind === "run") return this.handleRunResult(data, tabId);
+
     try {
       if (!tabId) return;
       const s = this.activeSessions.get(tabId);
       if (!s) return;
 
-      s.finalVerdict = data?.verdict || s.finalVerdict || null;
       this.markActivity(tabId);
+      // The network capture names the language the judge actually used
+      if (data?.language) this.switchLanguage(s, data.language);
+      s.finalVerdict = data?.verdict || s.finalVerdict || null;
+      await this.linkSnapshotVerdict(s, data);
+      if (data?.verdict === "Accepted" && !s.firstAccepted) {
+        s.firstAccepted = {
+          at: Date.now(),
+          activeMs: s.activeMs,
+          runs: s.counters.runs,
+          submissions: s.counters.submissions,
+          language: s.language ?? null
+        };
+        this.persistSessions();
+      }
+      this.recordSession(s);
 
       if (s.problemId && this.settings.userId) {
         await this.safePostEvent("ProblemSubmitted", {
           userId: this.settings.userId,
           problemId: s.problemId,
           verdict: data?.verdict || null,
-          runtime: data?.runtime || null,
-          memory: data?.memory || null
+          // Milliseconds and megabytes as parsed from the result panel
+          runtime: data?.runtime ?? null,
+          memory: data?.memory ?? null,
+          runtimePercentile: data?.runtimePercentile ?? null,
+          memoryPercentile: data?.memoryPercentile ?? null,
+          testsPassed: data?.testsPassed ?? null,
+          testsTotal: data?.testsTotal ?? null,
+          language: s.language ?? null,
+          // Only the network capture knows this
+          submissionId: data?.submissionId ?? null
         }, tabId);
       }
     } catch (err) {
@@ -406,28 +936,248 @@ class BackgroundManager {
     }
   }
 
-  async handleSessionEnd(_data, tabId) {
+  async handleRunResult(data, tabId) {
     try {
-      this.endSession(tabId, false);
+      if (!tabId) return;
+      const s = this.activeSessions.get(tabId);
+      if (!s) return;
+      this.markActivity(tabId);
+      if (data?.language) this.switchLanguage(s, data.language);
+
+      const passed = data?.verdict === "Accepted";
+      const r = s.runResults || (s.runResults = this.emptyRunResults());
+      r.total++;
+      if (passed) {
+        r.passed++;
+        if (r.runsToFirstGreen == null) r.runsToFirstGreen = r.total;
+      } else {
+        r.failed++;
+        r.byVerdict[data?.verdict] = (r.byVerdict[data?.verdict] || 0) + 1;
+        if (s.counters.submissions === 0) r.failedBeforeFirstSubmit++;
+      }
+      this.persistSessions();
+      this.recordSession(s);
+
+      if (s.problemId && this.settings.userId) {
+        await this.safePostEvent("ProblemProgress", {
+          userId: this.settings.userId,
+          problemId: s.problemId,
+          event: "run_result",
+          passed,
+          // The error type when the run failed
+          verdict: data?.verdict || null,
+          failedCase: data?.failedCase ?? null,
+          testsPassed: data?.testsPassed ?? null,
+          testsTotal: data?.testsTotal ?? null,
+          runtime: data?.runtime ?? null
+        }, tabId);
+      }
     } catch (err) {
-      console.error("[bg] handleSessionEnd error:", err.message);
+      console.warn("[bg] handleRunResult error:", err.message);
     }
   }
 
-  // Legacy passthrough
-  async handleBackendEvent(eventType, data, tabId) {
+  async handleLanguageChanged(data, tabId) {
+    try {
+      if (!tabId) return;
+      const s = this.activeSessions.get(tabId);
+      if (!s) return;
+      this.markActivity(tabId);
+      const from = s.language;
+      if (!this.switchLanguage(s, data?.language)) return;
+      this.recordSession(s);
+
+      // The first detection is not a switch
+      if (from && s.problemId && this.settings.userId) {
+        await this.safePostEvent("ProblemProgress", {
+          userId: this.settings.userId,
+          problemId: s.problemId,
+          event: "language_changed",
+          from,
+          to: s.language,
+          activeMsSinceStart: s.activeMs
+        }, tabId);
+      }
+    } catch (err) {
+      console.warn("[bg] handleLanguageChanged error:", err.message);
+    }
+  }
+
+  async handleHelpOpened(data, tabId) {
+    try {
+      if (!tabId || !HELP_PANELS.includes(data?.panel)) return;
+      const s = this.activeSessions.get(tabId);
+      if (!s) return;
+      this.markActivity(tabId);
+
+      const now = Date.now();
+      const help = s.helpOpened || (s.helpOpened = {});
+      const entry = help[data.panel] || (help[data.panel] = { firstAt: data.timestamp || now, activeMs: s.activeMs, opens: 0 });
+      entry.opens++;
+      this.persistSessions();
+      this.recordSession(s);
+
+      if (s.problemId && this.settings.userId) {
+        await this.safePostEvent("ProblemProgress", {
+          userId: this.settings.userId,
+          problemId: s.problemId,
+          event: "help_opened",
+          panel: data.panel,
+          first: entry.opens === 1,
+          activeMsSinceStart: s.activeMs,
+          wallMsSinceStart: now - s.wallStart
+        }, tabId);
+      }
+    } catch (err) {
+      console.warn("[bg] handleHelpOpened error:", err.message);
+    }
+  }
+
+  // ProblemSessionEnded fields; community solutions count as the editorial
+  helpUsage(s) {
+    const help = s.helpOpened || {};
+    const editorialAt = [help.editorial?.firstAt, help.solutions?.firstAt].filter(t => t != null);
+    return {
+      usedEditorial: editorialAt.length > 0,
+      editorialOpenedAt: editorialAt.length ? Math.min(...editorialAt) : null,
+      usedHints: !!help.hints,
+      hintsOpenedAt: help.hints?.firstAt ?? null,
+      helpOpened: help
+    };
+  }
+
+  /*
+    Sets the session's language and banks active time (s.activeMs, so mark
+    activity first) against the one it replaces. Time before the first
+    detection goes to the first language seen. Returns whether it changed.
+  */
+  switchLanguage(s, label) {
+    const language = Platforms.normalizeLanguage(label);
+    if (!language || language === s.language) return false;
+    if (s.language) {
+      s.languageMs = this.languageTime(s, s.activeMs);
+      s.languageMark = s.activeMs;
+    }
+    s.language = language;
+    this.persistSessions();
+    return true;
+  }
+
+  // Active ms per language, the current one counted up to `activeMs`
+  languageTime(s, activeMs) {
+    const out = { ...(s.languageMs || {}) };
+    if (s.language) out[s.language] = (out[s.language] || 0) + activeMs - (s.languageMark || 0);
+    return out;
+  }
+
+  /*
+    Code snapshots (opt-in). content.js sends one when Submit is clicked
+    and again when a submission comes back Accepted. The submit snapshot
+    takes the verdict when it arrives. The Accepted one is only stored when
+    there was no submit snapshot for that verdict (a keyboard-shortcut
+    submit, say) and the code differs from the last one kept.
+  */
+  async handleCodeSnapshot(data, tabId) {
+    try {
+      if (!tabId || !this.settings.codeSnapshots) return;
+      const s = this.activeSessions.get(tabId);
+      if (!s || typeof data?.code !== "string") return;
+
+      const size = new TextEncoder().encode(data.code).length;
+      if (size > CODE_SNAPSHOT_MAX_BYTES) {
+        console.warn("[bg] code snapshot skipped, too large:", size);
+        return;
+      }
+      const hash = this.codeHash(data.code);
+      const accepted = data.trigger === "accepted";
+      if (accepted) {
+        const covered = s.lastSnapshot?.linkedVerdict === "Accepted" || s.lastSnapshot?.hash === hash;
+        if (s.lastSnapshot) s.lastSnapshot.linkedVerdict = null;
+        if (covered) return;
+      }
+
+      const record = {
+        id: crypto.randomUUID(),
+        sessionId: s.sessionId,
+        problemId: s.problemId,
+        problemKey: s.problemKey ?? ProblemUrl.key(s.url),
+        problemTitle: s.problemTitle,
+        platform: Platforms.idForUrl(s.url),
+        url: s.url,
+        trigger: accepted ? "accepted" : "submit",
+        verdict: accepted ? "Accepted" : null,
+        submissionId: null,
+        language: data.language || s.language || null,
+        editor: data.editor || null,
+        code: data.code,
+        size,
+        hash,
+        capturedAt: data.timestamp || Date.now()
+      };
+      await this.history.putSnapshot(record);
+      s.lastSnapshot = { id: record.id, hash, awaitingVerdict: !accepted, linkedVerdict: null };
+      this.persistSessions();
+    } catch (err) {
+      console.error("[bg] handleCodeSnapshot error:", err.message);
+    }
+  }
+
+  async linkSnapshotVerdict(s, data) {
+    if (!s.lastSnapshot?.awaitingVerdict || !data?.verdict) return;
+    s.lastSnapshot.awaitingVerdict = false;
+    s.lastSnapshot.linkedVerdict = data.verdict;
     try {
-      await this.storeEvent(eventType, { ...data, tabId, timestamp: Date.now() });
-      await this.postEvent(eventType, data, tabId);
+      const record = await this.history.getSnapshot(s.lastSnapshot.id);
+      if (!record) return;
+      await this.history.putSnapshot({
+        ...record,
+        verdict: data.verdict,
+        submissionId: data.submissionId ?? null,
+        language: record.language || data.language || null
+      });
+    } catch (err) {
+      console.error("[bg] linkSnapshotVerdict error:", err.message);
+    }
+  }
+
+  // FNV-1a; only tells "same code as the last snapshot" apart
+  codeHash(code) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < code.length; i++) {
+      h ^= code.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16);
+  }
+
+  // Per-session Run outcomes; reported with ProblemSessionEnded
+  emptyRunResults() {
+    return {
+      total: 0,
+      passed: 0,
+      failed: 0,
+      runsToFirstGreen: null,         // run results up to and including the first pass
+      failedBeforeFirstSubmit: 0,
+      byVerdict: {}                   // failed runs per verdict
+    };
+  }
+
+  async handleSessionEnd(data, tabId) {
+    try {
+      this.endSession(tabId, false, data?.reason || null);
     } catch (err) {
-      console.error("[bg] handleBackendEvent error:", err.message);
-      await this.queueForRetry(eventType, data, tabId);
+      console.error("[bg] handleSessionEnd error:", err.message);
     }
   }
 
+  // Legacy passthrough
+  async handleBackendEvent(eventType, data, tabId) {
+    await this.safePostEvent(eventType, data, tabId);
+  }
+
   // ------------- Backend I/O -----------------
 
-  async detectProblem({ platform, problemTitle, problemUrl }) {
+  async detectProblem({ platform, problemTitle, problemUrl, metadata }) {
     const base = this.settings.backendUrl?.replace(/\/+$/, "") || "";
     const url = `${base}/api/v1/problems/detect`;
     const headers = { "Content-Type": "application/json" };
@@ -440,7 +1190,8 @@ class BackgroundManager {
         userId: this.settings.userId || "user",
         platform,
         problemTitle,
-        problemUrl
+        problemUrl,
+        metadata: metadata ?? null
       })
     });
 
@@ -450,7 +1201,121 @@ class BackgroundManager {
     return await resp.json();
   }
 
-  async postEvent(eventType, data, tabId) {
+  // ------------- Problem registry -----------------
+
+  // Registry key for a problem page
+  problemKey(problemUrl) {
+    return ProblemUrl.key(problemUrl);
+  }
+
+  /*
+    /detect through the registry. A fresh entry answers without a request;
+    an entry whose title no longer matches the page is treated as stale. If
+    the backend cannot be reached, an expired entry is still better than a
+    provisional ID. Resolves to { problemId, expectedTime, title, cached }.
+  */
+  async lookupProblem(problem) {
+    const key = this.problemKey(problem.problemUrl);
+    let cached = null;
+    try {
+      cached = key ? await this.history.getRegistryEntry(key) : null;
+    } catch (err) {
+      console.error("[bg] registry read error:", err.message);
+    }
+
+    // The placeholder says nothing about the title, so it never counts as a rename
+    const title = problem.problemTitle && problem.problemTitle !== PLACEHOLDER_TITLE ? problem.problemTitle : null;
+    const renamed = cached?.title && title && cached.title !== title;
+    if (cached && !renamed && cached.expiresAt > Date.now()) {
+      // Tags, and the title itself, often render after the first lookup
+      const metadata = this.mergeMetadata(cached.metadata, problem.metadata);
+      if (JSON.stringify(metadata) !== JSON.stringify(cached.metadata ?? null) || (title && !cached.title)) {
+        cached = { ...cached, title: cached.title || title, metadata };
+        try {
+          await this.history.putRegistryEntry(cached);
+        } catch (err) {
+          console.error("[bg] registry write error:", err.message);
+        }
+      }
+      return { ...cached, cached: true };
+    }
+
+    let det;
+    try {
+      det = await this.detectProblem(problem);
+    } catch (err) {
+      if (cached) {
+        console.warn("[bg] detect failed, using expired registry entry:", key, err.message);
+        return { ...cached, cached: true };
+      }
+      throw err;
+    }
+
+    const entry = {
+      key,
+      problemId: det.problemId,
+      expectedTime: det.expectedTime ?? det.expectedTimeMinutes ?? null,
+      title: title ?? cached?.title ?? null,
+      platform: problem.platform,
+      url: problem.problemUrl,
+      metadata: this.mergeMetadata(cached?.metadata, problem.metadata),
+      fetchedAt: Date.now(),
+      expiresAt: Date.now() + PROBLEM_CACHE_TTL_MS
+    };
+    if (key && entry.problemId) {
+      try {
+        await this.history.putRegistryEntry(entry);
+      } catch (err) {
+        console.error("[bg] registry write error:", err.message);
+      }
+    }
+    return { ...entry, cached: false };
+  }
+
+  // Fields the newer reading has (not null, not an empty list) win
+  mergeMetadata(prev, next) {
+    if (!next) return prev ?? null;
+    const out = { ...prev };
+    for (const [field, value] of Object.entries(next)) {
+      if (value != null && !(Array.isArray(value) && value.length === 0)) out[field] = value;
+      else if (!(field in out)) out[field] = value;
+    }
+    return out;
+  }
+
+  // Drop one problem's cached /detect result, or all of them
+  async invalidateProblemCache(problemUrl) {
+    if (problemUrl) {
+      const key = this.problemKey(problemUrl);
+      if (key) await this.history.delete("registry", key);
+    } else {
+      await this.history.clear("registry");
+    }
+  }
+
+  // Stable identity is assigned once here; retries resend the same envelope
+  buildEnvelope(eventType, data, tabId) {
+    const s = tabId != null ? this.activeSessions.get(tabId) : null;
+    if (s) this.persistSessions();
+    return {
+      clientEventId: crypto.randomUUID(),
+      sessionId: s?.sessionId ?? null,
+      seq: s ? ++s.seq : null,
+      eventType,
+      data,
+      tabId,
+      timestamp: Date.now()
+    };
+  }
+
+  // Fields of an envelope that go over the wire
+  toWireEvent({ clientEventId, replacesClientEventId, sessionId, seq, eventType, data, timestamp }) {
+    const wire = { clientEventId, sessionId, seq, eventType, data, timestamp };
+    if (replacesClientEventId) wire.replacesClientEventId = replacesClientEventId;
+    return wire;
+  }
+
+  async postEvent(envelope) {
     if (!this.settings.userId) {
       throw new Error("User ID not configured");
     }
@@ -459,11 +1324,7 @@ class BackgroundManager {
     const headers = { "Content-Type": "application/json" };
     if (this.settings.apiKey) headers["Authorization"] = `Bearer ${this.settings.apiKey}`;
 
-    const payload = {
-      eventType,
-      data,
-      timestamp: Date.now()
-    };
+    const payload = this.toWireEvent(envelope);
 
     const resp = await fetch(url, {
       method: "POST",
@@ -477,13 +1338,154 @@ class BackgroundManager {
     return await resp.json().catch(() => ({}));
   }
 
+  // POST several events at once. Resolves to one { ok, error } per envelope,
+  // in order; throws only when the request as a whole fails.
+  async postEventBatch(envelopes) {
+    if (!this.settings.userId) {
+      throw new Error("User ID not configured");
+    }
+    const base = this.settings.backendUrl?.replace(/\/+$/, "") || "";
+    const url = `${base}/api/v1/problems/events/batch`;
+    const headers = { "Content-Type": "application/json" };
+    if (this.settings.apiKey) headers["Authorization"] = `Bearer ${this.settings.apiKey}`;
+
+    const payload = {
+      events: envelopes.map(env => this.toWireEvent(env))
+    };
+
+    const resp = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(payload)
+    });
+
+    // Backend without a batch endpoint: deliver one by one
+    if (resp.status === 404) {
+      const results = [];
+      for (const env of envelopes) {
+        try {
+          await this.postEvent(env);
+          results.push({ ok: true });
+        } catch (err) {
+          results.push({ ok: false, error: err.message });
+        }
+      }
+      return results;
+    }
+
+    if (!resp.ok) {
+      throw new Error(`events/batch HTTP ${resp.status}`);
+    }
+    const body = await resp.json().catch(() => ({}));
+    const byIndex = new Map((body.results || []).map(r => [r.index, r]));
+    return envelopes.map((_, i) => {
+      const r = byIndex.get(i);
+      return r?.status === "accepted"
+        ? { ok: true }
+        : { ok: false, error: r?.error || "missing result" };
+    });
+  }
+
+  // Buffer an event for batched delivery. Never throws: anything the batch
+  // cannot deliver lands in the retry queue.
   async safePostEvent(eventType, data, tabId) {
+    const envelope = this.buildEnvelope(eventType, data, tabId);
+    this.recordEvent(envelope);
+
+    // The backend has never heard of a provisional ID; hold until it is resolved
+    if (this.isProvisionalId(data?.problemId)) {
+      this.heldEvents.push(envelope);
+      await this.storeProvisional();
+      return;
+    }
+
+    this.outbox.push(envelope);
+    await this.storeOutbox();
+
+    if (this.outbox.length >= BATCH_MAX_EVENTS) {
+      await this.flushOutbox();
+    } else {
+      this.scheduleFlush();
+    }
+  }
+
+  // ------------- Outbox (batched delivery) -----------------
+
+  // Flush when the oldest buffered event reaches BATCH_MAX_AGE_MS. The sweep
+  // alarm picks up anything left behind if the worker dies first.
+  scheduleFlush() {
+    if (this.flushTimer || this.outbox.length === 0) return;
+    const age = Date.now() - this.outbox[0].timestamp;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flushOutbox();
+    }, Math.max(BATCH_MAX_AGE_MS - age, 0));
+    this.syncRetrySweepAlarm();
+  }
+
+  // One flush at a time so an event is never part of two in-flight batches
+  flushOutbox() {
+    if (!this.flushing) {
+      this.flushing = this.drainOutbox().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async drainOutbox() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    while (this.outbox.length > 0) {
+      const batch = this.outbox.slice(0, BATCH_MAX_EVENTS);
+      let results;
+      try {
+        results = await this.postEventBatch(batch);
+      } catch (err) {
+        console.warn("[bg] batch flush failed, queueing", batch.length, "events:", err.message);
+        results = batch.map(() => ({ ok: false, error: err.message }));
+      }
+
+      // Events enqueued during the request were appended after the batch
+      this.outbox = this.outbox.slice(batch.length);
+      await this.storeOutbox();
+
+      const delivered = [];
+      const rejected = [];
+      for (let i = 0; i < batch.length; i++) {
+        if (results[i].ok) {
+          delivered.push(batch[i].clientEventId);
+        } else {
+          rejected.push({ ...batch[i], attempts: [{ at: Date.now(), error: results[i].error }] });
+        }
+      }
+      await this.markDelivered(delivered);
+      if (rejected.length > 0) {
+        await this.queueEnvelopesForRetry(rejected);
+      }
+    }
+
+    await this.syncRetrySweepAlarm();
+  }
+
+  async storeOutbox() {
+    try {
+      await chrome.storage.local.set({ outbox: this.outbox });
+    } catch (err) {
+      console.error("[bg] storeOutbox error:", err.message);
+    }
+  }
+
+  async loadOutbox() {
     try {
-      await this.postEvent(eventType, data, tabId);
-      await this.storeEvent(eventType, data);
+      const { outbox } = await chrome.storage.local.get(["outbox"]);
+      this.outbox = Array.isArray(outbox) ? outbox : [];
     } catch (err) {
-      console.warn("[bg] safePostEvent queueing:", eventType, err.message);
-      await this.queueForRetry(eventType, data, tabId);
+      console.error("[bg] loadOutbox error:", err.message);
+      this.outbox = [];
     }
   }
 
@@ -496,24 +1498,23 @@ class BackgroundManager {
   }
 
   async queueForRetry(eventType, data, tabId) {
-    const item = {
-      eventType,
-      data,
-      tabId,
-      retryCount: 0,
-      nextRetry: Date.now() + this.getRetryDelay(0)
-    };
-    this.retryQueue.push(item);
-    await this.storeRetryQueue();
-    this.scheduleRetryProcessing();
+    const envelope = this.buildEnvelope(eventType, data, tabId);
+    this.recordEvent(envelope);
+    await this.queueEnvelopesForRetry([envelope]);
   }
 
-  startRetryProcessor() {
-    // Sweep queue every 30s
-    if (this.queueSweepIntervalHandle) clearInterval(this.queueSweepIntervalHandle);
-    this.queueSweepIntervalHandle = setInterval(() => this.processRetryQueue(), 30000);
+  // Envelopes may carry an `attempts` history ([{ at, error }]) from earlier failures
+  async queueEnvelopesForRetry(envelopes) {
+    const nextRetry = Date.now() + this.getRetryDelay(0);
+    for (const env of envelopes) {
+      this.retryQueue.push({ attempts: [], ...env, retryCount: 0, nextRetry });
+    }
+    await this.storeRetryQueue();
+    await this.syncRetrySweepAlarm();
+    this.scheduleRetryProcessing();
   }
 
+  // Quick retry while the worker is alive; the sweep alarm covers suspension
   scheduleRetryProcessing() {
     if (this.retryTimer) clearTimeout(this.retryTimer);
     this.retryTimer = setTimeout(() => this.processRetryQueue(), 5000);
@@ -522,31 +1523,50 @@ class BackgroundManager {
   async processRetryQueue() {
     // Re-evaluate online hint
     this.isOnline = typeof navigator !== "undefined" ? !!navigator.onLine : true;
-    if (!this.isOnline || this.retryQueue.length === 0) return;
+    if (this.retryQueue.length === 0) {
+      await this.syncRetrySweepAlarm();
+      return;
+    }
+    if (!this.isOnline) return;
 
     const now = Date.now();
-    const maxRetries = 5;
 
-    const ready = this.retryQueue.filter(it => it.nextRetry <= now && it.retryCount < maxRetries);
+    const ready = this.retryQueue.filter(it => it.nextRetry <= now && it.retryCount < MAX_RETRIES);
     if (ready.length === 0) return;
 
-    for (const item of ready) {
+    for (let start = 0; start < ready.length; start += BATCH_MAX_EVENTS) {
+      const batch = ready.slice(start, start + BATCH_MAX_EVENTS);
+      let results;
       try {
-        await this.postEvent(item.eventType, item.data, item.tabId);
-        // Remove from queue
-        this.retryQueue = this.retryQueue.filter(q => q !== item);
+        results = await this.postEventBatch(batch);
       } catch (err) {
+        results = batch.map(() => ({ ok: false, error: err.message }));
+      }
+
+      // Only the items the server rejected stay queued
+      const delivered = [];
+      for (let i = 0; i < batch.length; i++) {
+        const item = batch[i];
+        if (results[i].ok) {
+          this.retryQueue = this.retryQueue.filter(q => q !== item);
+          delivered.push(item.clientEventId);
+          continue;
+        }
         item.retryCount++;
         item.nextRetry = Date.now() + this.getRetryDelay(item.retryCount);
-        if (item.retryCount >= maxRetries) {
-          console.error("[bg] max retries exceeded for", item.eventType);
-          // Keep or drop based on your policy; here we drop after max
+        item.attempts = [...(item.attempts || []), { at: Date.now(), error: results[i].error }];
+        if (item.retryCount >= MAX_RETRIES) {
+          console.error("[bg] max retries exceeded for", item.eventType, results[i].error);
           this.retryQueue = this.retryQueue.filter(q => q !== item);
+          this.deadLetters.push(this.toDeadLetter(item));
+          await this.storeDeadLetters();
         }
       }
+      await this.markDelivered(delivered);
     }
 
     await this.storeRetryQueue();
+    await this.syncRetrySweepAlarm();
   }
 
   async storeRetryQueue() {
@@ -561,52 +1581,468 @@ class BackgroundManager {
     try {
       const { retryQueue } = await chrome.storage.local.get(["retryQueue"]);
       this.retryQueue = Array.isArray(retryQueue) ? retryQueue : [];
+      // Items queued before events carried IDs get one now, once
+      let upgraded = false;
+      for (const item of this.retryQueue) {
+        if (item.clientEventId) continue;
+        item.clientEventId = crypto.randomUUID();
+        item.timestamp = item.timestamp ?? Date.now();
+        upgraded = true;
+      }
+      if (upgraded) await this.storeRetryQueue();
     } catch (err) {
       console.error("[bg] loadRetryQueue error:", err.message);
       this.retryQueue = [];
     }
   }
 
-  // ------------- Event storage (local history) -----------------
+  // ------------- Dead letters -----------------
 
-  async storeEvent(eventType, data) {
+  toDeadLetter({ retryCount, nextRetry, ...envelope }) {
+    const attempts = envelope.attempts || [];
+    return {
+      ...envelope,
+      attempts,
+      lastError: attempts.length ? attempts[attempts.length - 1].error : null,
+      deadAt: Date.now()
+    };
+  }
+
+  // Move dead letters back into the retry queue. `edits` maps clientEventId to
+  // replacement `data`. Unedited events keep their client ID so the server can
+  // still dedupe; an edited one is a different event, so it gets a new ID,
+  // names the one it replaces and takes its place in local history.
+  async replayDeadLetters(ids, edits = {}) {
+    const selected = this.deadLetters.filter(d => ids.includes(d.clientEventId));
+    if (selected.length === 0) return 0;
+
+    this.deadLetters = this.deadLetters.filter(d => !selected.includes(d));
+    await this.storeDeadLetters();
+
+    const replay = selected.map(({ lastError, deadAt, ...envelope }) => {
+      const edited = Object.prototype.hasOwnProperty.call(edits, envelope.clientEventId);
+      if (!edited) return envelope;
+      return {
+        ...envelope,
+        clientEventId: crypto.randomUUID(),
+        replacesClientEventId: envelope.clientEventId,
+        data: edits[envelope.clientEventId]
+      };
+    });
+    for (const envelope of replay) {
+      if (envelope.replacesClientEventId) await this.replaceEventRecord(envelope);
+    }
+    await this.queueEnvelopesForRetry(replay);
+    console.log("[bg] replaying dead letters:", selected.length);
+    return selected.length;
+  }
+
+  // The original would otherwise stay undelivered in history forever
+  async replaceEventRecord(envelope) {
+    await this.recordEvent(envelope);
     try {
-      const events = await this.getStoredEvents();
-      events.push({ eventType, data, timestamp: Date.now() });
-      // keep last 100 events
-      if (events.length > 100) events.splice(0, events.length - 100);
-      await chrome.storage.local.set({ events });
+      await this.history.delete("events", envelope.replacesClientEventId);
     } catch (err) {
-      console.error("[bg] storeEvent error:", err.message);
+      console.error("[bg] replaceEventRecord error:", err.message);
     }
   }
 
-  async getStoredEvents() {
+  async discardDeadLetters(ids) {
+    const before = this.deadLetters.length;
+    this.deadLetters = this.deadLetters.filter(d => !ids.includes(d.clientEventId));
+    await this.storeDeadLetters();
+    return before - this.deadLetters.length;
+  }
+
+  async storeDeadLetters() {
+    try {
+      await chrome.storage.local.set({ deadLetters: this.deadLetters });
+    } catch (err) {
+      console.error("[bg] storeDeadLetters error:", err.message);
+    }
+  }
+
+  async loadDeadLetters() {
+    try {
+      const { deadLetters } = await chrome.storage.local.get(["deadLetters"]);
+      this.deadLetters = Array.isArray(deadLetters) ? deadLetters : [];
+    } catch (err) {
+      console.error("[bg] loadDeadLetters error:", err.message);
+      this.deadLetters = [];
+    }
+  }
+
+  // ------------- Provisional problem IDs -----------------
+
+  isProvisionalId(problemId) {
+    return typeof problemId === "string" && problemId.startsWith(PROVISIONAL_ID_PREFIX);
+  }
+
+  // Deterministic, so every tab on the same problem shares one provisional ID
+  provisionalProblemId(platform, url) {
+    return `${PROVISIONAL_ID_PREFIX}${ProblemUrl.key(url) || `${platform || "unknown"}:unknown`}`;
+  }
+
+  async registerProvisionalProblem({ platform, problemTitle, problemUrl, metadata }) {
+    const id = this.provisionalProblemId(platform, problemUrl);
+    if (!this.provisionalProblems[id]) {
+      this.provisionalProblems[id] = { platform, problemTitle, problemUrl, metadata: metadata ?? null, createdAt: Date.now() };
+      await this.storeProvisional();
+      await this.syncRetrySweepAlarm();
+    }
+    return id;
+  }
+
+  // Retry /detect for every unresolved provisional ID. Failures stay put for
+  // the next sweep; successes release their held events into the outbox.
+  async resolveProvisionalProblems() {
+    for (const [provisionalId, problem] of Object.entries(this.provisionalProblems)) {
+      let det;
+      try {
+        det = await this.lookupProblem(problem);
+      } catch (err) {
+        console.warn("[bg] provisional problem still unresolved:", provisionalId, err.message);
+        return; // same backend for every entry; try again on the next sweep
+      }
+      // Resolved by a concurrent sweep while /detect was in flight
+      if (!det?.problemId || !this.provisionalProblems[provisionalId]) continue;
+      await this.remapProblemId(provisionalId, det.problemId, det.expectedTime, problem);
+    }
+  }
+
+  async remapProblemId(fromId, toId, expectedTime, problem) {
+    const remap = (env) => {
+      if (env.data?.problemId !== fromId) return env;
+      const data = { ...env.data, problemId: toId };
+      if (env.eventType === "ProblemSessionStarted" && data.expectedTime == null) {
+        data.expectedTime = expectedTime;
+      }
+      return { ...env, data };
+    };
+
+    const released = this.heldEvents.filter(e => e.data?.problemId === fromId).map(remap);
+    this.heldEvents = this.heldEvents.filter(e => e.data?.problemId !== fromId);
+    delete this.provisionalProblems[fromId];
+
+    // Anything that slipped into the other queues (e.g. via import) is fixed too
+    this.outbox = [...this.outbox.map(remap), ...released];
+    this.retryQueue = this.retryQueue.map(remap);
+    this.deadLetters = this.deadLetters.map(remap);
+
+    for (const s of this.activeSessions.values()) {
+      if (s.problemId !== fromId) continue;
+      s.problemId = toId;
+      s.expectedTime = s.expectedTime ?? expectedTime;
+      this.recordSession(s);
+      this.recordProblem(s);
+    }
+
+    await this.storeProvisional();
+    await this.storeOutbox();
+    await this.storeRetryQueue();
+    await this.storeDeadLetters();
+    this.persistSessions();
+
+    try {
+      await this.history.remapProblemId(fromId, toId);
+      if (!(await this.history.getProblem(toId))) {
+        const now = Date.now();
+        await this.history.putProblem({
+          problemId: toId,
+          problemKey: ProblemUrl.key(problem.problemUrl),
+          platform: problem.platform,
+          title: problem.problemTitle || null,
+          url: problem.problemUrl,
+          expectedTime,
+          firstSeen: problem.createdAt ?? now,
+          lastSeen: now
+        });
+      }
+    } catch (err) {
+      console.error("[bg] history remap error:", err.message);
+    }
+
+    console.log("[bg] provisional problem resolved:", fromId, "->", toId, "released", released.length, "events");
+    await this.flushOutbox();
+  }
+
+  async storeProvisional() {
+    try {
+      await chrome.storage.local.set({
+        provisionalProblems: this.provisionalProblems,
+        heldEvents: this.heldEvents
+      });
+    } catch (err) {
+      console.error("[bg] storeProvisional error:", err.message);
+    }
+  }
+
+  async loadProvisional() {
+    try {
+      const { provisionalProblems, heldEvents } = await chrome.storage.local.get(["provisionalProblems", "heldEvents"]);
+      this.provisionalProblems = provisionalProblems || {};
+      this.heldEvents = Array.isArray(heldEvents) ? heldEvents : [];
+    } catch (err) {
+      console.error("[bg] loadProvisional error:", err.message);
+      this.provisionalProblems = {};
+      this.heldEvents = [];
+    }
+  }
+
+  // ------------- Session persistence -----------------
+
+  async persistSessions() {
+    try {
+      await chrome.storage.session.set({ activeSessions: Object.fromEntries(this.activeSessions) });
+    } catch (err) {
+      console.error("[bg] persistSessions error:", err.message);
+    }
+  }
+
+  async loadSessions() {
+    try {
+      const { activeSessions } = await chrome.storage.session.get(["activeSessions"]);
+      const now = Date.now();
+      for (const s of Object.values(activeSessions || {})) {
+        // The worker was gone between the last write and now; restart the
+        // activity clock so that gap is never accrued as active time.
+        s.lastActivity = now;
+        this.activeSessions.set(s.tabId, s);
+      }
+    } catch (err) {
+      console.error("[bg] loadSessions error:", err.message);
+    }
+
+    // Tabs closed while the worker was suspended still owe a ProblemSessionEnded
+    for (const tabId of Array.from(this.activeSessions.keys())) {
+      try {
+        await chrome.tabs.get(tabId);
+      } catch {
+        this.endSession(tabId, false, "tab_closed");
+      }
+    }
+
+    if (this.activeSessions.size > 0) {
+      console.log("[bg] rehydrated sessions:", Array.from(this.activeSessions.keys()));
+    }
+  }
+
+  // ------------- Local history (IndexedDB) -----------------
+
+  // Every event is recorded when it is created, delivered or not
+  async recordEvent(envelope) {
+    const s = envelope.tabId != null ? this.activeSessions.get(envelope.tabId) : null;
+    const record = {
+      id: envelope.clientEventId,
+      sessionId: envelope.sessionId,
+      seq: envelope.seq,
+      eventType: envelope.eventType,
+      problemId: envelope.data?.problemId ?? null,
+      platform: envelope.data?.platform ?? (s ? Platforms.idForUrl(s.url) : null),
+      timestamp: envelope.timestamp,
+      data: envelope.data,
+      delivered: false
+    };
+    try {
+      await this.history.putEvents(record);
+    } catch (err) {
+      console.error("[bg] recordEvent error:", err.message);
+    }
+  }
+
+  async markDelivered(clientEventIds) {
+    try {
+      await this.history.markEventsDelivered(clientEventIds);
+    } catch (err) {
+      console.error("[bg] markDelivered error:", err.message);
+    }
+  }
+
+  // status: "active" while the tab is tracked, "ended" once closed out
+  async recordSession(s, status = "active") {
+    const now = Date.now();
+    const activeMs = status === "ended" ? s.activeMs : this.sessionSnapshot(s, now).activeMs;
+    try {
+      await this.history.putSession({
+        sessionId: s.sessionId,
+        tabId: s.tabId,
+        problemId: s.problemId,
+        problemKey: s.problemKey ?? ProblemUrl.key(s.url),
+        problemTitle: s.problemTitle,
+        platform: Platforms.idForUrl(s.url),
+        url: s.url,
+        expectedTime: s.expectedTime,
+        startTime: s.startTime,
+        endTime: s.endTime ?? null,
+        activeMs,
+        wallMs: (s.endTime ?? now) - s.wallStart,
+        pausedMs: this.totalPausedMs(s, s.endTime ?? now),
+        counters: { ...s.counters },
+        finalVerdict: s.finalVerdict,
+        firstAccepted: s.firstAccepted ?? null,
+        runResults: s.runResults ?? null,
+        language: s.language ?? null,
+        languageMs: this.languageTime(s, activeMs),
+        helpOpened: s.helpOpened ?? {},
+        reason: s.endReason ?? null,
+        status
+      });
+    } catch (err) {
+      console.error("[bg] recordSession error:", err.message);
+    }
+  }
+
+  async recordProblem(s) {
+    // Provisional problems get a record once /detect names them
+    if (!s.problemId || this.isProvisionalId(s.problemId)) return;
+    try {
+      const existing = await this.history.getProblem(s.problemId);
+      const now = Date.now();
+      await this.history.putProblem({
+        problemId: s.problemId,
+        problemKey: s.problemKey ?? ProblemUrl.key(s.url),
+        platform: Platforms.idForUrl(s.url),
+        title: s.problemTitle || existing?.title || null,
+        url: s.url,
+        expectedTime: s.expectedTime,
+        metadata: this.mergeMetadata(existing?.metadata, s.metadata),
+        firstSeen: existing?.firstSeen ?? now,
+        lastSeen: now
+      });
+    } catch (err) {
+      console.error("[bg] recordProblem error:", err.message);
+    }
+  }
+
+  async pruneHistory() {
+    try {
+      const removed = await this.history.prune(Number(this.settings.historyRetentionDays));
+      if (removed > 0) console.log("[bg] pruned history records:", removed);
+    } catch (err) {
+      console.error("[bg] pruneHistory error:", err.message);
+    }
+  }
+
+  // Events used to live in a capped chrome.storage.local array; move them once
+  async migrateLegacyEvents() {
     try {
       const { events } = await chrome.storage.local.get(["events"]);
-      return Array.isArray(events) ? events : [];
+      if (!Array.isArray(events)) return;
+      await this.history.putEvents(events.map(e => ({
+        id: crypto.randomUUID(),
+        sessionId: null,
+        seq: null,
+        eventType: e.eventType,
+        problemId: e.data?.problemId ?? null,
+        platform: e.data?.platform ?? null,
+        timestamp: e.timestamp,
+        data: e.data,
+        delivered: true // only acknowledged events were ever stored there
+      })));
+      await chrome.storage.local.remove(["events"]);
+      console.log("[bg] migrated legacy events:", events.length);
     } catch (err) {
-      console.error("[bg] getStoredEvents error:", err.message);
-      return [];
+      console.error("[bg] migrateLegacyEvents error:", err.message);
     }
   }
 
-  // ------------- Heartbeats -----------------
+  /*
+    Merge parsed export records ({ events, sessions } from Importers.parse)
+    into local history. Records already present are left untouched, so an
+    import can be repeated safely. With `reenqueue`, imported events the
+    backend never acknowledged go back through the retry queue under their
+    original client ID. `dryRun` computes the same report without writing.
+  */
+  async importHistory({ events = [], sessions = [] } = {}, { reenqueue = false, dryRun = false } = {}) {
+    const report = {
+      events: { total: events.length, added: 0, duplicates: 0 },
+      sessions: { total: sessions.length, added: 0, duplicates: 0 },
+      reenqueue: { candidates: 0, queued: 0, alreadyPending: 0 },
+      dryRun
+    };
+
+    // Duplicates within the file itself count once
+    const uniqueEvents = new Map();
+    for (const e of events) {
+      // Events from the original export carry no ID
+      const key = e.id || `${e.eventType}@${e.timestamp}`;
+      if (uniqueEvents.has(key)) report.events.duplicates++;
+      else uniqueEvents.set(key, e);
+    }
+    const uniqueSessions = new Map();
+    for (const s of sessions) {
+      if (uniqueSessions.has(s.sessionId)) report.sessions.duplicates++;
+      else uniqueSessions.set(s.sessionId, s);
+    }
+
+    const withId = Array.from(uniqueEvents.values()).filter(e => e.id);
+    const existingEvents = await this.history.existingKeys("events", withId.map(e => e.id));
+    const newEvents = [];
+    for (const e of uniqueEvents.values()) {
+      let exists = e.id && existingEvents.has(e.id);
+      if (!e.id) {
+        const sameInstant = await this.history.queryEvents({ from: e.timestamp, to: e.timestamp, eventType: e.eventType });
+        exists = sameInstant.length > 0;
+      }
+      if (exists) report.events.duplicates++;
+      else newEvents.push({ ...e, id: e.id || crypto.randomUUID() });
+    }
+    report.events.added = newEvents.length;
+
+    const existingSessions = await this.history.existingKeys("sessions", Array.from(uniqueSessions.keys()));
+    const newSessions = Array.from(uniqueSessions.values()).filter(s => !existingSessions.has(s.sessionId));
+    report.sessions.added = newSessions.length;
+    report.sessions.duplicates += uniqueSessions.size - newSessions.length;
+
+    // Only events with a client ID can be re-sent without risking a double count
+    let toQueue = [];
+    if (reenqueue) {
+      const pending = new Set([...this.outbox, ...this.retryQueue, ...this.deadLetters].map(e => e.clientEventId));
+      const candidates = [];
+      for (const e of withId) {
+        if (e.delivered) continue;
+        // This browser may have delivered it since the export was taken
+        const local = existingEvents.has(e.id) ? await this.history.get("events", e.id) : null;
+        if (!local?.delivered) candidates.push(e);
+      }
+      report.reenqueue.candidates = candidates.length;
+      toQueue = candidates.filter(e => !pending.has(e.id));
+      report.reenqueue.alreadyPending = candidates.length - toQueue.length;
+      report.reenqueue.queued = toQueue.length;
+    }
 
-  startHeartbeatProcessor() {
-    if (this.heartbeatIntervalHandle) clearInterval(this.heartbeatIntervalHandle);
-    this.heartbeatIntervalHandle = setInterval(() => this.processHeartbeats(), this.settings.heartbeatInterval);
+    if (dryRun) return report;
+
+    await this.history.putEvents(newEvents);
+    await this.history.putSession(newSessions);
+    if (toQueue.length > 0) {
+      await this.queueEnvelopesForRetry(toQueue.map(e => ({
+        clientEventId: e.id,
+        sessionId: e.sessionId,
+        seq: e.seq,
+        eventType: e.eventType,
+        data: e.data,
+        tabId: null,
+        timestamp: e.timestamp
+      })));
+    }
+    console.log("[bg] imported history:", report);
+    return report;
   }
 
+  // ------------- Heartbeats -----------------
+
   async processHeartbeats() {
     const now = Date.now();
     for (const [tabId, s] of this.activeSessions) {
-      if (!s.isActive || !s.focused) continue;
+      if (!s.isActive || !s.focused || s.paused) continue;
       // Accumulate active time up to now (if not idle)
       if (now - s.lastActivity < this.settings.idleThreshold) {
         s.activeMs += now - s.lastActivity;
       }
       s.lastActivity = now;
+      this.persistSessions();
+      this.recordSession(s);
 
       if (s.problemId && this.settings.userId) {
         try {
@@ -626,36 +2062,56 @@ class BackgroundManager {
 
   // ------------- Status for popup -----------------
 
+  // View-only snapshot of a session; never mutates it
+  sessionSnapshot(s, now = Date.now()) {
+    const activeMs = this.isAccruing(s, now)
+      ? s.activeMs + (now - s.lastActivity)
+      : s.activeMs;
+
+    return {
+      tabId: s.tabId,
+      sessionId: s.sessionId,
+      platform: Platforms.idForUrl(s.url),
+      url: s.url,
+      problemKey: s.problemKey || null,
+      problemId: s.problemId || null,
+      problemTitle: s.problemTitle || null,
+      expectedTime: s.expectedTime || null,
+      language: s.language || null,
+      startTime: s.startTime,
+      activeMs,
+      wallMs: now - s.wallStart,
+      idle: now - s.lastActivity >= this.settings.idleThreshold,
+      counters: s.counters,
+      finalVerdict: s.finalVerdict,
+      isActive: s.isActive,
+      focused: s.focused,
+      paused: !!s.paused,
+      pausedMs: this.totalPausedMs(s, now)
+    };
+  }
+
   async getSessionInfo(tabId, sendResponse) {
     try {
-      const s = this.activeSessions.get(tabId);
+      const s = tabId != null ? this.activeSessions.get(tabId) : null;
       if (!s) {
         sendResponse({ success: false, message: "No active session" });
         return;
       }
+      sendResponse({ success: true, data: this.sessionSnapshot(s) });
+    } catch (err) {
+      sendResponse({ success: false, message: err.message });
+    }
+  }
+
+  // Every tracked tab, oldest session first
+  async listSessions(sendResponse) {
+    try {
       const now = Date.now();
-      // Compute a view-only activeTime snapshot (do not mutate here)
-      const activeSnapshot =
-        s.isActive && s.focused && now - s.lastActivity < this.settings.idleThreshold
-          ? s.activeMs + (now - s.lastActivity)
-          : s.activeMs;
-
-      sendResponse({
-        success: true,
-        data: {
-          tabId: s.tabId,
-          platform: this.platformFromUrl(s.url),
-          url: s.url,
-          problemId: s.problemId || null,
-          problemTitle: s.problemTitle || null,
-          expectedTime: s.expectedTime || null,
-          activeMs: activeSnapshot,
-          counters: s.counters,
-          finalVerdict: s.finalVerdict,
-          isActive: s.isActive,
-          focused: s.focused
-        }
-      });
+      const sessions = Array.from(this.activeSessions.values())
+        .sort((a, b) => a.startTime - b.startTime)
+        .map(s => this.sessionSnapshot(s, now));
+      sendResponse({ success: true, data: sessions });
     } catch (err) {
       sendResponse({ success: false, message: err.message });
     }
@@ -673,7 +2129,8 @@ chrome.runtime.onInstalled.addListener((details) => {
       apiKey: "",
       userId: "",
       idleThreshold: 60000,
-      heartbeatInterval: 30000
+      heartbeatInterval: 30000,
+      historyRetentionDays: 180
     });
   }
 });
@@ -0,0 +1,91 @@
+// Loads background.js in Node with an in-memory chrome.* and history, so
+// checks can drive the BackgroundManager directly. Not shipped.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function storageArea() {
+  const data = {};
+  const copy = (v) => JSON.parse(JSON.stringify(v));
+  return {
+    data,
+    async get(keys) {
+      if (keys == null) return copy(data);
+      const out = {};
+      for (const k of [].concat(keys)) if (k in data) out[k] = copy(data[k]);
+      return out;
+    },
+    async set(items) {
+      for (const k in items) data[k] = copy(items[k]);
+    },
+    async remove(keys) {
+      for (const k of [].concat(keys)) delete data[k];
+    }
+  };
+}
+
+function event() {
+  return { addListener() {}, removeListener() {} };
+}
+
+function fakeChrome() {
+  return {
+    storage: { sync: storageArea(), local: storageArea(), session: storageArea(), onChanged: event() },
+    runtime: { onMessage: event(), onInstalled: event(), onStartup: event(), sendMessage: async () => {} },
+    tabs: { onUpdated: event(), onRemoved: event(), onActivated: event(), get: async (id) => ({ id }), query: async () => [], sendMessage: async () => {} },
+    alarms: { onAlarm: event(), get: async () => null, create: async () => {}, clear: async () => true },
+    permissions: { onAdded: event(), onRemoved: event(), contains: async () => false },
+    scripting: { getRegisteredContentScripts: async () => [], registerContentScripts: async () => {}, unregisterContentScripts: async () => {} }
+  };
+}
+
+// Only the problem registry is kept; every other history call succeeds and
+// finds nothing
+function memoryHistory() {
+  const registry = new Map();
+  const known = {
+    registry,
+    async getRegistryEntry(key) { return registry.get(key) ?? null; },
+    async putRegistryEntry(entry) { registry.set(entry.key, entry); }
+  };
+  return new Proxy(known, {
+    get(target, name) {
+      if (name in target) return target[name];
+      return async () => (/^(query|existingKeys)/.test(name) ? [] : undefined);
+    }
+  });
+}
+
+// `fetch` answers every request; calls are recorded as { path, body }
+async function loadBackground({ settings = {}, fetch } = {}) {
+  const chrome = fakeChrome();
+  Object.assign(chrome.storage.sync.data, settings);
+  globalThis.chrome = chrome;
+  globalThis.self = { addEventListener() {} };
+  // The worker logs every step; set VERBOSE=1 to see it
+  if (!process.env.VERBOSE) console.log = console.info = console.warn = () => {};
+
+  require(path.join(ROOT, 'history-db.js'));
+  require(path.join(ROOT, 'platforms.js'));
+  require(path.join(ROOT, 'problem-url.js'));
+
+  const calls = [];
+  globalThis.fetch = async (url, init = {}) => {
+    const call = { path: new URL(url).pathname, body: init.body ? JSON.parse(init.body) : null };
+    calls.push(call);
+    const body = fetch ? await fetch(call) : {};
+    return { ok: true, status: 200, json: async () => body };
+  };
+
+  const source = fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8')
+    .replace(/^import\s+"[^"]+";$/gm, '');
+  const bg = vm.runInThisContext(`(() => {\n${source}\nreturn backgroundManager;\n})()`, { filename: 'background.js' });
+  bg.history = memoryHistory();
+  await bg.ready;
+  return { bg, chrome, calls };
+}
+
+module.exports = { loadBackground };
@@ -0,0 +1,33 @@
+// The older popup export, retry queue included, still imports: queued items
+// had no timestamp or client ID, so they are timed by nextRetry and given an
+// ID that is the same on every import.
+// Run with: node checks/import-fixtures.js
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+require('../import.js');
+
+const FIXTURE = path.join(__dirname, '..', 'fixtures', 'legacy-popup-export.json');
+
+const text = fs.readFileSync(FIXTURE, 'utf8');
+const doc = JSON.parse(text);
+const parsed = Importers.parse(text, 'session-tracker-data.json');
+
+assert.strictEqual(parsed.format, 'legacy');
+assert.deepStrictEqual(parsed.errors, []);
+assert.strictEqual(parsed.events.length, doc.events.length + doc.retryQueue.length);
+
+const pending = parsed.events.slice(doc.events.length);
+doc.retryQueue.forEach((item, i) => {
+  assert.strictEqual(pending[i].eventType, item.eventType);
+  assert.strictEqual(pending[i].timestamp, item.nextRetry);
+  assert.strictEqual(pending[i].delivered, false);
+  assert.match(pending[i].id, /^legacy-[0-9a-f]{16}$/);
+});
+
+const again = Importers.parse(text, 'session-tracker-data.json');
+assert.deepStrictEqual(again.events.map(e => e.id), parsed.events.map(e => e.id), 'IDs repeat across imports');
+
+process.stdout.write('import-fixtures: ok\n');
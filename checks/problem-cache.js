@@ -0,0 +1,41 @@
+// A revisited problem is served from the registry: content.js starts each
+// visit with a placeholder title and follows with the real one, and neither
+// may send the page back to /detect.
+// Run with: node checks/problem-cache.js
+
+const assert = require('assert');
+const { loadBackground } = require('./background-harness');
+
+const URL = 'https://leetcode.com/problems/two-sum/';
+const TAB = 1;
+
+async function visit(bg) {
+  await bg.handleSessionStart({ platform: 'leetcode', problemTitle: '(loading...)', problemUrl: URL }, TAB);
+  await bg.handleSessionStart({ platform: 'leetcode', problemTitle: 'Two Sum', problemUrl: URL }, TAB);
+  bg.endSession(TAB, true, 'tab_closed');
+}
+
+async function main() {
+  const { bg, calls } = await loadBackground({
+    settings: { userId: 'u1', backendUrl: 'http://localhost:8082' },
+    fetch: ({ path }) => (path.endsWith('/detect') ? { problemId: 'problem_1', expectedTime: 900 } : {})
+  });
+  const detects = () => calls.filter(c => c.path.endsWith('/detect')).length;
+
+  await visit(bg);
+  assert.strictEqual(detects(), 1, 'first visit detects the problem once');
+
+  await visit(bg);
+  assert.strictEqual(detects(), 1, 'second visit is served from the registry');
+
+  const entry = bg.history.registry.get('leetcode:two-sum');
+  assert.strictEqual(entry.title, 'Two Sum', 'registry keeps the real title');
+  assert.strictEqual(bg.activeSessions.size, 0);
+
+  process.stdout.write('problem-cache: ok\n');
+}
+
+main().then(() => process.exit(0), (err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,7 +1,12 @@
 // Content script: detect problem metadata + user actions and notify background
 // Keep this script UI-light; the background owns session state and timers.
-console.log("[content] injected:", location.href)
+console.log("[content] injected:", location.href);
 (() => {
+  // Custom platforms can get this script both from the registered content
+  // script and from an injection into an already open tab
+  if (globalThis.__sessionTrackerInjected) return;
+  globalThis.__sessionTrackerInjected = true;
+
   // ---------------- Context + safe messaging ----------------
   let ctxAlive = true;
 
@@ -21,91 +26,64 @@ console.log("[content] injected:", location.href)
   // ---------------- Utilities ----------------
   const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-  const getPlatform = (host) => {
-    if (!host) return "unknown";
-    if (host.includes("leetcode.com")) return "leetcode";
-    if (host.includes("geeksforgeeks.org")) return "geeksforgeeks";
-    if (host.includes("hackerrank.com")) return "hackerrank";
-    return "unknown";
-  };
-
-  function isProblemUrl(href) {
-    return (
-      /leetcode\.com\/problems\//.test(href) ||
-      /geeksforgeeks\.org\/problems\//.test(href) ||
-      /hackerrank\.com\/challenges\//.test(href)
-    );
-  }
-
-  const platform = getPlatform(location.hostname);
-
-  // Robust title readers per platform (with multiple fallbacks)
-  const readers = {
-    leetcode() {
-      const sels = [
-        'div[data-cy="question-title"] h1',
-        'h1[data-cy="question-title"]',
-        "h1",
-        ".mr-2.text-label-1",
-      ];
-      for (const sel of sels) {
-        const el = document.querySelector(sel);
-        const t = el?.textContent?.trim();
-        if (t) return t;
-      }
-      const dt = document.title?.replace(/ - LeetCode.*$/, "")?.trim();
-      return dt || null;
-    },
-    geeksforgeeks() {
-      const el = document.querySelector("h1.entry-title") || document.querySelector("h1");
-      return el?.textContent?.trim() || document.title?.trim() || null;
-    },
-    hackerrank() {
-      const el =
-        document.querySelector('[data-attr1="challenge-name"]') ||
-        document.querySelector(".ui-content-title") ||
-        document.querySelector("h1");
-      return el?.textContent?.trim() || document.title?.trim() || null;
-    },
-    unknown() {
-      return document.title?.trim() || null;
-    },
-  };
+  // Shared with the background; the manifest loads platforms.js and
+  // problem-url.js first
+  const isProblemUrl = (href) => ProblemUrl.isProblemUrl(href);
+
+  let adapter = Platforms.forUrl(location.href);
+  let platform = adapter?.id || "unknown";
+
+  function readTitle() {
+    return adapter ? adapter.readTitle(document) : document.title?.trim() || null;
+  }
+
+  // Difficulty, tags, number and premium status, as far as the page shows them
+  function readMetadata() {
+    try {
+      return adapter ? adapter.readMetadata(document) : null;
+    } catch (_) {
+      return null;
+    }
+  }
 
   async function getProblemTitleWithRetry(maxTries = 25, delayMs = 200) {
-    const reader = readers[platform] || readers.unknown;
     for (let i = 0; i < maxTries; i++) {
       if (!ctxAlive) return null;
-      const t = reader();
+      const t = readTitle();
       if (t && t.length > 0) return t;
       await sleep(delayMs);
     }
     return null;
   }
 
+  // Canonical, so sub-pages and query variants report the same problem
   function getProblemUrl() {
-    return location.href;
+    return ProblemUrl.url(location.href);
   }
 
   // ---------------- Session bootstrap ----------------
   async function startSession() {
     const url = getProblemUrl();
+    currentLanguage = readLanguage();
 
     // Quick, optimistic start so background can run /detect immediately
     safeSend("SESSION_START", {
       platform,
       problemTitle: "(loading...)",
       problemUrl: url,
+      language: currentLanguage,
       timestamp: Date.now(),
     });
 
-    // Upgrade with the real title when ready
+    // Upgrade with the real title, and whatever else has rendered, when ready
     const title = await getProblemTitleWithRetry();
     if (title && ctxAlive) {
       safeSend("SESSION_START", {
         platform,
         problemTitle: title,
         problemUrl: url,
+        language: currentLanguage,
+        metadata: readMetadata(),
         timestamp: Date.now(),
       });
     }
@@ -165,11 +143,29 @@ console.log("[content] injected:", location.href)
   }
 
   // ---------------- Buttons and verdicts ----------------
-  function findButtonByText(texts) {
-    const btns = Array.from(document.querySelectorAll("button, a"));
-    return btns.find((b) => {
-      const t = (b.textContent || "").trim().toLowerCase();
-      return texts.some((x) => t === x.toLowerCase());
+
+  // Results are read once the panel stops changing, so runtime and memory
+  // that render after the verdict are not missed
+  const RESULT_SETTLE_MS = 400;
+
+  // Last action, for panels that serve both Run and Submit
+  let lastAction = null;
+  // "run"/"submit" pressed since this page context began
+  const actedKinds = new Set();
+  // Per resultPanels index: { signature, awaiting } of the last report
+  const panelState = new Map();
+  let resultTimer = null;
+
+  function onAction(kind) {
+    lastAction = kind;
+    actedKinds.add(kind);
+    netKinds.delete(kind);
+    // An identical result shown after this click is a new result, as long
+    // as the panel clears first (the old one may linger until judging starts)
+    (adapter?.resultPanels.length ? adapter.resultPanels : [{ kind: null }]).forEach((panel, i) => {
+      if (!panel.kind || panel.kind === kind) {
+        panelState.set(i, { ...panelState.get(i), awaiting: true });
+      }
     });
   }
 
@@ -182,43 +178,63 @@ console.log("[content] injected:", location.href)
   }
 
   function setupRunSubmitHooks() {
-    // Site-specific first
-    const leetRun = document.querySelector('button[data-e2e-locator="console-run-button"]');
-    const leetSubmit = document.querySelector('button[data-e2e-locator="console-submit-button"]');
-
-    // Generic fallbacks
-    const genericRun = findButtonByText(["Run", "Run Code"]);
-    const genericSubmit = findButtonByText(["Submit", "Submit Code", "Run & Submit", "Judge"]);
-
-    attachOnce(leetRun || genericRun, "click", () => {
+    if (!adapter) return;
+    // Adapters try site-specific selectors first, then generic button text
+    attachOnce(adapter.findRunButton(document), "click", () => {
+      onAction("run");
       safeSend("RUN_CLICKED", { timestamp: Date.now() });
     });
-    attachOnce(leetSubmit || genericSubmit, "click", () => {
+    attachOnce(adapter.findSubmitButton(document), "click", () => {
+      onAction("submit");
       safeSend("SUBMIT_CLICKED", { timestamp: Date.now() });
+      captureSnapshot("submit");
     });
   }
 
-  function scanVerdictOnce(root) {
-    const verdicts = [
-      "Accepted",
-      "Wrong Answer",
-      "Runtime Error",
-      "Time Limit Exceeded",
-      "Compilation Error",
-      "Memory Limit Exceeded",
-    ];
-    const nodes = root
-      ? Array.from(root.querySelectorAll("*"))
-      : Array.from(document.querySelectorAll("*"));
-    for (const n of nodes) {
-      const txt = n.textContent || "";
-      const hit = verdicts.find((v) => txt.includes(v));
-      if (hit) {
-        safeSend("VERDICT_DETECTED", { verdict: hit, timestamp: Date.now() });
-        return true;
+  function reportResult(result) {
+    safeSend("VERDICT_DETECTED", { ...result, timestamp: Date.now() });
+    if (result.kind === "submit" && result.verdict === "Accepted") captureSnapshot("accepted");
+  }
+
+  // Report each panel's result once; the page re-renders panels freely
+  function scanResults() {
+    if (!adapter || !ctxAlive) return;
+    adapter.readResults(document).forEach((result, i) => {
+      const state = panelState.get(i) || {};
+      if (!result) {
+        if (state.awaiting) panelState.set(i, { signature: null, awaiting: false });
+        return;
       }
-    }
-    return false;
+      const signature = JSON.stringify(result);
+      if (signature === state.signature) return;
+      panelState.set(i, { signature, awaiting: false });
+      // Unlabelled panels take the last button pressed; a status page only
+      // ever shows submissions
+      const kind = result.kind || lastAction || "submit";
+      // A problem page only reports results of its own Run and Submit; an
+      // old submission or a reload's result is not a new verdict
+      if (!actedKinds.has(kind) && !adapter.isVerdictPage(location.href)) return;
+      // The network hook already reported this one
+      if (netKinds.has(kind)) return;
+      reportResult({ ...result, kind });
+    });
+  }
+
+  // Whatever the page shows when a context begins is history: status pages
+  // list earlier submissions, problem pages may show the last result
+  function baselineResults() {
+    lastAction = null;
+    actedKinds.clear();
+    panelState.clear();
+    if (!adapter) return;
+    adapter.readResults(document).forEach((result, i) => {
+      panelState.set(i, { signature: result ? JSON.stringify(result) : null, awaiting: false });
+    });
+  }
+
+  function scheduleResultScan() {
+    clearTimeout(resultTimer);
+    resultTimer = setTimeout(scanResults, RESULT_SETTLE_MS);
   }
 
   function setupMutationObserver() {
@@ -226,32 +242,219 @@ console.log("[content] injected:", location.href)
       if (!ctxAlive) return;
       // Reattach in case buttons appear late
       setupRunSubmitHooks();
-      // Scan for verdict text in newly added nodes
-      for (const m of mutations) {
-        for (const node of m.addedNodes || []) {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            if (scanVerdictOnce(node)) return;
-          }
-        }
+      // Re-read the result panels and language picker once the page settles
+      if (mutations.length > 0) {
+        scheduleResultScan();
+        scheduleLanguageCheck();
       }
     });
-    obs.observe(document.documentElement, { childList: true, subtree: true });
+    obs.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
     return () => {
+      clearTimeout(resultTimer);
+      clearTimeout(languageTimer);
       try {
         obs.disconnect();
       } catch (_) {}
     };
   }
 
+  // ---------------- Editor language ----------------
+  // Read from the adapter's language picker. Pages announce no switch, so
+  // the picker is re-read when the page settles after a change, and on
+  // <select> changes, which leave the DOM as it was.
+
+  const LANGUAGE_SETTLE_MS = 300;
+
+  let currentLanguage = null;
+  let languageTimer = null;
+
+  function readLanguage() {
+    return adapter ? adapter.readLanguage(document) : null;
+  }
+
+  function checkLanguage() {
+    if (!ctxAlive) return;
+    const language = readLanguage();
+    if (!language || language === currentLanguage) return;
+    currentLanguage = language;
+    safeSend("LANGUAGE_CHANGED", { language, timestamp: Date.now() });
+  }
+
+  function scheduleLanguageCheck() {
+    clearTimeout(languageTimer);
+    languageTimer = setTimeout(checkLanguage, LANGUAGE_SETTLE_MS);
+  }
+
+  function setupLanguageWatcher() {
+    document.addEventListener("change", checkLanguage, { capture: true });
+    return () => document.removeEventListener("change", checkLanguage, { capture: true });
+  }
+
+  // ---------------- Editorial, solutions and hints ----------------
+  // Reported when the adapter's helpPanels open, by route or by a click on
+  // the tab or hint. A tab click is usually followed by its route change,
+  // so a repeat of the same kind within HELP_REPEAT_MS is the same opening.
+
+  const HELP_REPEAT_MS = 2000;
+  // How far up from the clicked node a tab or hint label may sit
+  const HELP_CLICK_DEPTH = 4;
+
+  const helpSentAt = {};
+
+  function reportHelp(panel, via) {
+    const now = Date.now();
+    if (now - (helpSentAt[panel] || 0) < HELP_REPEAT_MS) return;
+    helpSentAt[panel] = now;
+    safeSend("HELP_OPENED", { panel, via, timestamp: now });
+  }
+
+  function checkHelpRoute() {
+    const panel = adapter?.helpForPath(location.pathname);
+    if (panel) reportHelp(panel, "route");
+  }
+
+  function setupHelpWatcher() {
+    if (!adapter?.helpPanels.length) return () => {};
+    const onClick = (e) => {
+      let el = e.target;
+      for (let i = 0; el && el !== document.body && i < HELP_CLICK_DEPTH; i++, el = el.parentElement) {
+        const panel = adapter.helpForText((el.textContent || "").trim());
+        if (panel) {
+          reportHelp(panel, "click");
+          return;
+        }
+      }
+    };
+    document.addEventListener("click", onClick, { capture: true });
+    return () => document.removeEventListener("click", onClick, { capture: true });
+  }
+
+  // ---------------- Network capture (opt-in) ----------------
+  // The adapter's networkScript runs in the page's main world and posts the
+  // site's own result responses here. While it reports, DOM scanning for the
+  // same action stays quiet; when it sees nothing, DOM results still go out.
+
+  const NET_SOURCE = "session-tracker-net";
+  // How long a check result waits for the panel's details request, which
+  // adds percentiles
+  const NET_SETTLE_MS = 1500;
+
+  const netPending = new Map();   // checkId -> { result, timer }
+  const netReported = new Set();  // checkIds already sent
+  const netKinds = new Set();     // "run"/"submit" reported since that button was last pressed
+
+  function flushNetResult(checkId) {
+    const entry = netPending.get(checkId);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    netPending.delete(checkId);
+    netReported.add(checkId);
+    reportResult(entry.result);
+  }
+
+  function onNetMessage(e) {
+    if (e.source !== window || e.data?.source !== NET_SOURCE || !adapter) return;
+    const p = e.data.payload || {};
+
+    if (p.type === "check") {
+      if (!p.checkId || netReported.has(p.checkId) || netPending.has(p.checkId)) return;
+      const verdict = adapter.parseVerdict(p.status || "");
+      if (!verdict) return;
+      const kind = p.kind === "run" ? "run" : "submit";
+      netKinds.add(kind);
+      netPending.set(p.checkId, {
+        result: {
+          kind,
+          verdict,
+          testsPassed: p.testsPassed ?? null,
+          testsTotal: p.testsTotal ?? null,
+          failedCase: p.failedCase ?? null,
+          runtime: p.runtime ?? null,
+          runtimePercentile: p.runtimePercentile ?? null,
+          memory: p.memory ?? null,
+          memoryPercentile: p.memoryPercentile ?? null,
+          language: p.language ?? null,
+          submissionId: p.submissionId ?? null
+        },
+        timer: setTimeout(() => flushNetResult(p.checkId), NET_SETTLE_MS)
+      });
+    } else if (p.type === "details") {
+      // Details for a submission that is not waiting here are an older one
+      const pending = Array.from(netPending.entries()).find(([, x]) => x.result.submissionId === p.submissionId);
+      if (!pending) return;
+      const [checkId, { result }] = pending;
+      for (const key of ["testsPassed", "testsTotal", "runtimePercentile", "memoryPercentile", "language"]) {
+        if (result[key] == null && p[key] != null) result[key] = p[key];
+      }
+      flushNetResult(checkId);
+    }
+  }
+
+  window.addEventListener("message", onNetMessage);
+
+  // ---------------- Code snapshots (opt-in) ----------------
+  // Editors keep their text in page JavaScript, out of reach of this
+  // isolated world; editor-reader.js runs in the main world (registered by
+  // the background while the setting is on) and answers READ_EDITOR.
+
+  const EDITOR_REPLY_SOURCE = "session-tracker-editor";
+  const EDITOR_READ_TIMEOUT_MS = 1000;
+
+  let snapshotsEnabled = false;
+
+  async function loadSnapshotSetting() {
+    try {
+      const { codeSnapshots } = await chrome.storage.sync.get({ codeSnapshots: false });
+      snapshotsEnabled = !!codeSnapshots;
+    } catch (_) {
+      snapshotsEnabled = false;
+    }
+  }
+
+  // { code, language, editor } or null when no reader answers
+  function readEditor() {
+    return new Promise((resolve) => {
+      const requestId = Math.random().toString(36).slice(2);
+      const onReply = (e) => {
+        if (e.source !== window || e.data?.source !== EDITOR_REPLY_SOURCE || e.data.requestId !== requestId) return;
+        done(e.data.snapshot || null);
+      };
+      const timer = setTimeout(() => done(null), EDITOR_READ_TIMEOUT_MS);
+      function done(value) {
+        clearTimeout(timer);
+        window.removeEventListener("message", onReply);
+        resolve(value);
+      }
+      window.addEventListener("message", onReply);
+      window.postMessage({ source: "session-tracker", type: "READ_EDITOR", requestId }, location.origin);
+    });
+  }
+
+  // trigger: "submit" or "accepted"
+  async function captureSnapshot(trigger) {
+    if (!snapshotsEnabled) return;
+    const timestamp = Date.now();
+    const snapshot = await readEditor();
+    if (!snapshot || typeof snapshot.code !== "string" || !snapshot.code.trim()) return;
+    safeSend("CODE_SNAPSHOT", {
+      trigger,
+      code: snapshot.code,
+      language: snapshot.language || null,
+      editor: snapshot.editor || null,
+      timestamp
+    });
+  }
+
   // ---------------- Command channel (debug) ----------------
   chrome.runtime.onMessage.addListener((msg) => {
     if (msg?.type === "FORCE_SESSION_START") {
-      const reader = readers[platform] || readers.unknown;
-      const title = reader() || document.title || "(unknown)";
+      const title = readTitle() || document.title || "(unknown)";
       safeSend("SESSION_START", {
         platform,
         problemTitle: title,
-        problemUrl: location.href,
+        problemUrl: getProblemUrl(),
+        language: currentLanguage,
+        metadata: readMetadata(),
         timestamp: Date.now(),
       });
     }
@@ -307,7 +510,21 @@ console.log("[content] injected:", location.href)
     // Each bootstrap is a fresh context
     ctxAlive = true;
 
+    // Not a built-in host: the page was injected for a user-defined platform
+    if (!adapter) {
+      await Platforms.loadStoredCustom();
+      adapter = Platforms.forUrl(location.href);
+      platform = adapter?.id || "unknown";
+    }
+
+    await loadSnapshotSetting();
+
     if (!isProblemUrl(location.href)) {
+      // Submission status pages only report verdicts into the tab's session
+      if (adapter?.isVerdictPage(location.href)) {
+        baselineResults();
+        cleanups.push(setupMutationObserver());
+      }
       // Not a problem page: keep SPA watcher to catch future navigations
       const stopSpa = setupSpaWatcher();
       cleanups.push(stopSpa);
@@ -321,13 +538,17 @@ console.log("[content] injected:", location.href)
     const stopFocus = setupFocusVisibility();
     const stopActivity = setupActivity();
     const stopObs = setupMutationObserver();
+    const stopLanguage = setupLanguageWatcher();
+    const stopHelp = setupHelpWatcher();
     const stopSpa = setupSpaWatcher();
 
-    cleanups.push(stopFocus, stopActivity, stopObs, stopSpa);
+    cleanups.push(stopFocus, stopActivity, stopObs, stopLanguage, stopHelp, stopSpa);
     window.addEventListener("beforeunload", onUnload);
 
-    // One immediate verdict scan if page already shows results
-    scanVerdictOnce(document);
+    // Opened straight onto an editorial or solutions route
+    checkHelpRoute();
+    // Results already on the page are not reported
+    baselineResults();
     // Buttons that appear immediately
     setupRunSubmitHooks();
   }
@@ -0,0 +1,350 @@
+// Local analytics dashboard: reads session history from IndexedDB and
+// renders it with plain DOM. Nothing here talks to the backend.
+
+class DashboardManager {
+  constructor() {
+    this.history = new HistoryDB();
+    this.sessions = [];
+    this.solutions = [];
+
+    this.init();
+  }
+
+  async init() {
+    this.setupEventListeners();
+    await Platforms.loadStoredCustom();
+    await this.loadSessions();
+    await this.loadSolutions();
+    this.render();
+  }
+
+  setupEventListeners() {
+    document.getElementById('rangeSelect').addEventListener('change', () => this.render());
+    document.getElementById('platformSelect').addEventListener('change', () => this.render());
+    document.getElementById('downloadSolutions').addEventListener('click', () => {
+      this.downloadSolutions(this.filteredSolutions(), 'accepted-solutions.zip');
+    });
+  }
+
+  async loadSessions() {
+    try {
+      // A year covers every view, including the heatmap
+      const from = Date.now() - 365 * 24 * 60 * 60 * 1000;
+      this.sessions = await this.history.querySessions({ from, order: 'asc' });
+      this.populatePlatforms();
+    } catch (error) {
+      console.error('Failed to load sessions:', error);
+    }
+  }
+
+  // Accepted code snapshots, newest first; empty unless snapshots are enabled
+  async loadSolutions() {
+    try {
+      const snapshots = await this.history.querySnapshots({ order: 'desc' });
+      this.solutions = snapshots.filter(s => s.verdict === 'Accepted');
+    } catch (error) {
+      console.error('Failed to load solutions:', error);
+    }
+  }
+
+  populatePlatforms() {
+    const select = document.getElementById('platformSelect');
+    const platforms = new Set(this.sessions.map(s => s.platform || 'unknown'));
+    for (const platform of Array.from(platforms).sort()) {
+      const option = document.createElement('option');
+      option.value = platform;
+      option.textContent = this.getPlatformDisplayName(platform);
+      select.appendChild(option);
+    }
+  }
+
+  // Sessions matching the platform filter, optionally limited to the range
+  filteredSessions(withinRange = true) {
+    const platform = document.getElementById('platformSelect').value;
+    const days = Number(document.getElementById('rangeSelect').value);
+    const firstDay = Analytics.lastDays(days)[0];
+
+    return this.sessions.filter(s =>
+      (!platform || (s.platform || 'unknown') === platform) &&
+      (!withinRange || Analytics.dayKey(s.startTime) >= firstDay)
+    );
+  }
+
+  render() {
+    const sessions = this.filteredSessions();
+    this.renderSummary(sessions);
+    this.renderDayChart(sessions);
+    this.renderVerdicts(sessions);
+    this.renderExpectedVsActual(sessions);
+    this.renderLanguages(sessions);
+    this.renderHeatmap(this.filteredSessions(false));
+    this.renderSolutions(this.filteredSolutions());
+  }
+
+  // Solutions follow the platform filter but not the range: it is an archive
+  filteredSolutions() {
+    const platform = document.getElementById('platformSelect').value;
+    return this.solutions.filter(s => !platform || (s.platform || 'unknown') === platform);
+  }
+
+  renderSummary(sessions) {
+    const totalActive = sessions.reduce((acc, s) => acc + (s.activeMs || 0), 0);
+    const verdicts = Analytics.verdictBreakdown(sessions);
+    const attempts = Analytics.attemptsBeforeAccepted(sessions);
+    const { avgRatio } = Analytics.expectedVsActual(sessions);
+
+    const stats = [
+      ['Active Time', this.formatTime(totalActive)],
+      ['Sessions', sessions.length],
+      ['Solved', verdicts.solved],
+      ['Attempted', verdicts.attempted],
+      ['Runs before AC', this.formatNumber(attempts.avgRuns)],
+      ['Submits before AC', this.formatNumber(attempts.avgSubmissions)],
+      ['Actual / Expected', avgRatio == null ? '-' : `${Math.round(avgRatio * 100)}%`]
+    ];
+
+    const summary = document.getElementById('summary');
+    summary.innerHTML = '';
+    for (const [label, value] of stats) {
+      const stat = document.createElement('div');
+      stat.className = 'stat';
+      stat.innerHTML = '<div class="stat-label"></div><div class="stat-value"></div>';
+      stat.querySelector('.stat-label').textContent = label;
+      stat.querySelector('.stat-value').textContent = value;
+      summary.appendChild(stat);
+    }
+  }
+
+  renderDayChart(sessions) {
+    const days = Analytics.lastDays(Number(document.getElementById('rangeSelect').value));
+    const byDay = Analytics.timeByDayAndPlatform(sessions);
+    const max = Math.max(1, ...days.map(d => Object.values(byDay[d] || {}).reduce((a, b) => a + b, 0)));
+    const platforms = new Set();
+
+    const chart = document.getElementById('dayChart');
+    chart.innerHTML = '';
+    for (const day of days) {
+      const bar = document.createElement('div');
+      bar.className = 'day-bar';
+      const perPlatform = byDay[day] || {};
+      const total = Object.values(perPlatform).reduce((a, b) => a + b, 0);
+      bar.title = `${day}: ${this.formatTime(total)}`;
+
+      for (const [platform, ms] of Object.entries(perPlatform)) {
+        platforms.add(platform);
+        const segment = document.createElement('span');
+        segment.style.height = `${(ms / max) * 100}%`;
+        segment.style.background = this.platformColor(platform);
+        bar.appendChild(segment);
+      }
+      chart.appendChild(bar);
+    }
+
+    const legend = document.getElementById('dayLegend');
+    legend.innerHTML = '';
+    for (const platform of platforms) {
+      const item = document.createElement('span');
+      item.innerHTML = '<span class="legend-swatch"></span>';
+      item.firstChild.style.background = this.platformColor(platform);
+      item.append(this.getPlatformDisplayName(platform));
+      legend.appendChild(item);
+    }
+  }
+
+  renderVerdicts(sessions) {
+    const container = document.getElementById('verdicts');
+    container.innerHTML = '';
+    if (sessions.length === 0) {
+      container.innerHTML = '<div class="empty">No sessions in this range</div>';
+      return;
+    }
+
+    const { byVerdict, solved, attempted } = Analytics.verdictBreakdown(sessions);
+    const entries = Object.entries(byVerdict).sort((a, b) => b[1] - a[1]);
+    const max = Math.max(...entries.map(([, n]) => n));
+
+    for (const [verdict, count] of entries) {
+      const row = document.createElement('div');
+      row.className = 'verdict-row';
+      row.innerHTML = `
+        <span class="verdict-label"></span>
+        <div class="verdict-track"><div class="verdict-fill"></div></div>
+        <span class="verdict-count"></span>
+      `;
+      row.querySelector('.verdict-label').textContent = verdict;
+      row.querySelector('.verdict-count').textContent = count;
+      const fill = row.querySelector('.verdict-fill');
+      fill.style.width = `${(count / max) * 100}%`;
+      fill.classList.toggle('accepted', verdict === 'Accepted');
+      container.appendChild(row);
+    }
+
+    const totals = document.createElement('div');
+    totals.className = 'verdict-totals';
+    totals.textContent = `${solved} problems solved, ${attempted} attempted without an Accepted`;
+    container.appendChild(totals);
+  }
+
+  renderExpectedVsActual(sessions) {
+    const tbody = document.querySelector('#expectedTable tbody');
+    tbody.innerHTML = '';
+    const { rows } = Analytics.expectedVsActual(sessions);
+    if (rows.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="4" class="empty">No sessions with an expected time</td></tr>';
+      return;
+    }
+
+    for (const row of rows.slice(0, 20)) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = '<td></td><td></td><td></td><td></td>';
+      const cells = tr.querySelectorAll('td');
+      cells[0].textContent = row.problemTitle || 'Unknown Problem';
+      cells[1].textContent = this.formatTime(row.expectedMs);
+      cells[2].textContent = this.formatTime(row.actualMs);
+      cells[3].textContent = row.solved ? `${Math.round(row.ratio * 100)}%` : 'unsolved';
+      cells[3].className = row.ratio > 1 ? 'over' : 'under';
+      tbody.appendChild(tr);
+    }
+  }
+
+  renderLanguages(sessions) {
+    const tbody = document.querySelector('#languageTable tbody');
+    tbody.innerHTML = '';
+    const rows = Analytics.languageBreakdown(sessions);
+    if (rows.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="4" class="empty">No sessions in this range</td></tr>';
+      return;
+    }
+
+    for (const row of rows) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = '<td></td><td></td><td></td><td></td>';
+      const cells = tr.querySelectorAll('td');
+      cells[0].textContent = row.language;
+      cells[1].textContent = this.formatTime(row.activeMs);
+      cells[2].textContent = row.sessions;
+      cells[3].textContent = `${Math.round(row.acceptanceRate * 100)}% (${row.accepted})`;
+      tbody.appendChild(tr);
+    }
+  }
+
+  renderHeatmap(sessions) {
+    const cells = Analytics.heatmap(sessions, 365);
+    const max = Math.max(1, ...cells.map(c => c.ms));
+
+    const heatmap = document.getElementById('heatmap');
+    heatmap.innerHTML = '';
+
+    // Pad the first column so every row is a weekday
+    const firstWeekday = new Date(`${cells[0].day}T12:00:00`).getDay();
+    for (let i = 0; i < firstWeekday; i++) {
+      heatmap.appendChild(document.createElement('div'));
+    }
+
+    for (const { day, ms } of cells) {
+      const cell = document.createElement('div');
+      const level = ms === 0 ? 0 : Math.min(4, Math.ceil((ms / max) * 4));
+      cell.className = `heat-cell${level ? ` l${level}` : ''}`;
+      cell.title = `${day}: ${this.formatTime(ms)}`;
+      heatmap.appendChild(cell);
+    }
+  }
+
+  renderSolutions(solutions) {
+    const container = document.getElementById('solutions');
+    container.innerHTML = '';
+    document.getElementById('downloadSolutions').disabled = solutions.length === 0;
+    if (solutions.length === 0) {
+      container.innerHTML = '<div class="empty">No accepted solutions saved. Turn on code snapshots in the settings to keep them.</div>';
+      return;
+    }
+
+    // One row per problem; snapshots are newest first, so [0] is the latest
+    const byProblem = new Map();
+    for (const snap of solutions) {
+      const key = snap.problemKey || snap.problemId || snap.url;
+      if (!byProblem.has(key)) byProblem.set(key, []);
+      byProblem.get(key).push(snap);
+    }
+
+    for (const snaps of byProblem.values()) {
+      const latest = snaps[0];
+      const row = document.createElement('div');
+      row.className = 'solution-row';
+      row.innerHTML = `
+        <a target="_blank" rel="noopener"></a>
+        <span class="solution-platform"></span>
+        <span class="solution-language"></span>
+        <span class="solution-date"></span>
+        <span class="solution-actions">
+          <button class="button solution-view">View</button>
+          <button class="button solution-download">Download</button>
+        </span>
+      `;
+      const link = row.querySelector('a');
+      link.textContent = latest.problemTitle || 'Unknown Problem';
+      if (latest.url) link.href = latest.url;
+      row.querySelector('.solution-platform').textContent = this.getPlatformDisplayName(latest.platform);
+      row.querySelector('.solution-language').textContent = latest.language || '-';
+      row.querySelector('.solution-date').textContent =
+        `${new Date(latest.capturedAt).toLocaleDateString()}${snaps.length > 1 ? ` (${snaps.length})` : ''}`;
+
+      const code = document.createElement('pre');
+      code.className = 'solution-code';
+      code.textContent = latest.code;
+      code.hidden = true;
+      row.querySelector('.solution-view').addEventListener('click', () => {
+        code.hidden = !code.hidden;
+      });
+      row.querySelector('.solution-download').addEventListener('click', () => {
+        const slug = (latest.problemKey || 'solution').replace(/[^a-z0-9-]+/gi, '-');
+        this.downloadSolutions(snaps, `${slug}.zip`);
+      });
+
+      container.appendChild(row);
+      container.appendChild(code);
+    }
+  }
+
+  downloadSolutions(snapshots, filename) {
+    if (snapshots.length === 0) return;
+    const zip = Zip.create(Exporters.solutionFiles(snapshots));
+    const url = URL.createObjectURL(new Blob([zip], { type: 'application/zip' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  platformColor(platform) {
+    return Platforms.color(platform);
+  }
+
+  getPlatformDisplayName(platform) {
+    return Platforms.displayName(platform);
+  }
+
+  formatNumber(value) {
+    return value == null ? '-' : value.toFixed(1);
+  }
+
+  formatTime(milliseconds) {
+    const seconds = Math.floor(milliseconds / 1000);
+    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+
+    if (hours > 0) {
+      return `${hours}h ${minutes % 60}m`;
+    } else if (minutes > 0) {
+      return `${minutes}m ${seconds % 60}s`;
+    } else {
+      return `${seconds}s`;
+    }
+  }
+}
+
+// Initialize dashboard when page loads
+document.addEventListener('DOMContentLoaded', () => {
+  new DashboardManager();
+});
@@ -0,0 +1,62 @@
+// Editor reader for code snapshots (opt-in). Runs in the page's main world,
+// the only place the editors' own APIs are reachable; the rendered DOM of
+// Monaco and CodeMirror 6 holds only the visible lines. Answers READ_EDITOR
+// requests from content.js over window.postMessage.
+//
+// Supported: Monaco (LeetCode, HackerRank, GeeksforGeeks), CodeMirror 5 and
+// 6 (Codeforces, AtCoder), Ace (CodeChef).
+(() => {
+  if (window.__sessionTrackerEditor) return;
+  window.__sessionTrackerEditor = true;
+
+  const REQUEST_SOURCE = "session-tracker";
+  const REPLY_SOURCE = "session-tracker-editor";
+
+  function fromMonaco() {
+    const editors = window.monaco?.editor?.getEditors?.() || [];
+    // The focused editor, else the one with the most code (not a console pane)
+    const editor = editors.find((e) => e.hasTextFocus?.()) ||
+      editors.slice().sort((a, b) => (b.getValue?.().length || 0) - (a.getValue?.().length || 0))[0];
+    const model = editor?.getModel?.();
+    if (!model) return null;
+    return { code: model.getValue(), language: model.getLanguageId?.() || null, editor: "monaco" };
+  }
+
+  function fromCodeMirror5() {
+    const cm = document.querySelector(".CodeMirror")?.CodeMirror;
+    if (!cm) return null;
+    const mode = cm.getOption("mode");
+    return { code: cm.getValue(), language: (typeof mode === "string" ? mode : mode?.name) || null, editor: "codemirror" };
+  }
+
+  function fromCodeMirror6() {
+    const view = document.querySelector(".cm-content")?.cmView?.view;
+    if (!view) return null;
+    return { code: view.state.doc.toString(), language: null, editor: "codemirror" };
+  }
+
+  function fromAce() {
+    const el = document.querySelector(".ace_editor");
+    if (!el || !window.ace?.edit) return null;
+    const editor = window.ace.edit(el);
+    const mode = editor.session.getMode()?.$id || "";
+    return { code: editor.getValue(), language: mode.replace(/^ace\/mode\//, "") || null, editor: "ace" };
+  }
+
+  function read() {
+    for (const reader of [fromMonaco, fromCodeMirror5, fromCodeMirror6, fromAce]) {
+      try {
+        const hit = reader();
+        if (hit && typeof hit.code === "string") return hit;
+      } catch (_) {
+        // An editor that half-exists is no reason to fail the others
+      }
+    }
+    return null;
+  }
+
+  window.addEventListener("message", (e) => {
+    if (e.source !== window || e.data?.source !== REQUEST_SOURCE || e.data.type !== "READ_EDITOR") return;
+    window.postMessage({ source: REPLY_SOURCE, requestId: e.data.requestId, snapshot: read() }, window.location.origin);
+  });
+})();
@@ -0,0 +1,173 @@
+/*
+  Export formats for local history. Pure functions over HistoryDB records;
+  exposed as `Exporters` on globalThis.
+
+  - CSV:     one row per session, columns from SESSION_COLUMNS
+  - NDJSON:  one event per line
+  - Summary: JSON document with totals and one summary object per session;
+             the per-language totals come from Analytics (load analytics.js
+             before this file)
+  - Solutions: code snapshots as files for a zip (see zip.js)
+
+  Schemas are a contract with spreadsheets and notebooks downstream: never
+  rename, reorder or remove a column. New columns go at the end, and
+  EXPORT_SCHEMA_VERSION is bumped whenever a field is added.
+*/
+
+const EXPORT_SCHEMA_VERSION = 3;
+
+const isoOrEmpty = (ts) => (ts ? new Date(ts).toISOString() : "");
+
+// Editor language IDs (Monaco, CodeMirror, Ace, LeetCode) to file extensions
+const LANGUAGE_EXTENSIONS = {
+  c: "c", cpp: "cpp", "c++": "cpp", c_cpp: "cpp", "text/x-c++src": "cpp",
+  csharp: "cs", "c#": "cs", java: "java", "text/x-java": "java",
+  javascript: "js", typescript: "ts", python: "py", python3: "py", pypy3: "py",
+  go: "go", golang: "go", rust: "rs", kotlin: "kt", swift: "swift",
+  ruby: "rb", scala: "scala", php: "php", dart: "dart", haskell: "hs",
+  elixir: "ex", erlang: "erl", racket: "rkt", sql: "sql", mysql: "sql",
+  bash: "sh", shell: "sh", sh: "sh"
+};
+
+const fileExtension = (language) => LANGUAGE_EXTENSIONS[String(language || "").toLowerCase()] || "txt";
+
+// Active time per language as "C++=1200;Python=300"
+const languageTimes = (languageMs) =>
+  Object.entries(languageMs || {}).map(([language, ms]) => `${language}=${ms}`).join(";");
+
+// Safe as one path segment on every OS
+const pathSegment = (text) =>
+  String(text || "unknown").toLowerCase().replace(/[^a-z0-9._-]+/g, "-").replace(/^-+|-+$/g, "") || "unknown";
+
+// [column name, value getter]; order is part of the schema
+const SESSION_COLUMNS = [
+  ["session_id", s => s.sessionId],
+  ["platform", s => s.platform],
+  ["problem_id", s => s.problemId],
+  ["problem_title", s => s.problemTitle],
+  ["problem_url", s => s.url],
+  ["start_time", s => isoOrEmpty(s.startTime)],
+  ["end_time", s => isoOrEmpty(s.endTime)],
+  ["status", s => s.status],
+  ["end_reason", s => s.reason],
+  ["active_ms", s => s.activeMs],
+  ["wall_ms", s => s.wallMs],
+  ["paused_ms", s => s.pausedMs],
+  ["expected_time_sec", s => s.expectedTime],
+  ["keystrokes", s => s.counters?.keystrokes],
+  ["runs", s => s.counters?.runs],
+  ["submissions", s => s.counters?.submissions],
+  ["final_verdict", s => s.finalVerdict],
+  ["accepted_active_ms", s => s.firstAccepted?.activeMs],
+  ["runs_before_accepted", s => s.firstAccepted?.runs],
+  ["submissions_before_accepted", s => s.firstAccepted?.submissions],
+  // v2
+  ["problem_key", s => s.problemKey],
+  // v3
+  ["language", s => s.language],
+  ["language_active_ms", s => languageTimes(s.languageMs)]
+];
+
+const Exporters = {
+  schemaVersion: EXPORT_SCHEMA_VERSION,
+
+  sessionColumns() {
+    return SESSION_COLUMNS.map(([name]) => name);
+  },
+
+  // Plain object keyed by column name; shared by CSV and the summary
+  sessionRow(session) {
+    const row = {};
+    for (const [name, get] of SESSION_COLUMNS) {
+      const value = get(session);
+      row[name] = value === undefined ? null : value;
+    }
+    return row;
+  },
+
+  csvCell(value) {
+    if (value == null) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  },
+
+  toCsv(sessions) {
+    const lines = [this.sessionColumns().join(",")];
+    for (const session of sessions) {
+      const row = this.sessionRow(session);
+      lines.push(this.sessionColumns().map(name => this.csvCell(row[name])).join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+  },
+
+  eventLine(event) {
+    return {
+      schemaVersion: EXPORT_SCHEMA_VERSION,
+      clientEventId: event.id,
+      sessionId: event.sessionId ?? null,
+      seq: event.seq ?? null,
+      eventType: event.eventType,
+      problemId: event.problemId ?? null,
+      platform: event.platform ?? null,
+      timestamp: event.timestamp,
+      time: isoOrEmpty(event.timestamp),
+      delivered: !!event.delivered,
+      data: event.data ?? null
+    };
+  },
+
+  toNdjson(events) {
+    return events.map(e => JSON.stringify(this.eventLine(e))).join("\n") + (events.length ? "\n" : "");
+  },
+
+  /*
+    Code snapshots as [{ path, content }] laid out
+      <platform>/<problem>/<YYYY-MM-DD_HHMMSS>[_<submissionId>].<ext>
+    where <problem> is the canonical slug (or the title when there is none).
+  */
+  solutionFiles(snapshots) {
+    const used = new Set();
+    return snapshots.map((snap) => {
+      const slug = snap.problemKey?.includes(":") ? snap.problemKey.split(":").slice(1).join(":") : snap.problemTitle;
+      const stamp = isoOrEmpty(snap.capturedAt).slice(0, 19).replace("T", "_").replace(/:/g, "");
+      const base = `${pathSegment(snap.platform)}/${pathSegment(slug)}/${stamp}${snap.submissionId ? `_${pathSegment(snap.submissionId)}` : ""}`;
+      // Two snapshots in the same second keep distinct names
+      let path = `${base}.${fileExtension(snap.language)}`;
+      for (let n = 2; used.has(path); n++) path = `${base}-${n}.${fileExtension(snap.language)}`;
+      used.add(path);
+      return { path, content: snap.code };
+    });
+  },
+
+  // filters: { from, to, platform } as applied, echoed into the document
+  toSummary(sessions, filters = {}) {
+    const rows = sessions.map(s => this.sessionRow(s));
+    const problems = new Map();
+    for (const s of sessions) {
+      const key = s.problemKey || s.problemId || s.url || s.sessionId;
+      problems.set(key, problems.get(key) || s.finalVerdict === "Accepted" || !!s.firstAccepted);
+    }
+    const solved = Array.from(problems.values()).filter(Boolean).length;
+
+    return JSON.stringify({
+      format: "session-tracker-summary",
+      schemaVersion: EXPORT_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      filters: {
+        from: isoOrEmpty(filters.from) || null,
+        to: isoOrEmpty(filters.to) || null,
+        platform: filters.platform || null
+      },
+      totals: {
+        sessions: sessions.length,
+        activeMs: sessions.reduce((acc, s) => acc + (s.activeMs || 0), 0),
+        problemsSolved: solved,
+        problemsAttempted: problems.size - solved,
+        byLanguage: Analytics.languageBreakdown(sessions)
+      },
+      sessions: rows
+    }, null, 2);
+  }
+};
+
+globalThis.Exporters = Exporters;
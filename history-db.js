@@ -0,0 +1,359 @@
+/*
+  Local history store (IndexedDB), shared by the background worker and the
+  extension pages. Load it with `import "./history-db.js"` (worker) or a
+  <script> tag (pages); it exposes `HistoryDB` on globalThis.
+
+  Object stores:
+  - events:   every emitted event, keyed by clientEventId; `delivered` flips
+              to true once the backend acknowledges it
+  - sessions: one record per tab session, keyed by sessionId
+  - problems: one record per detected problem, keyed by problemId
+  - registry: cached /detect results keyed by canonical problem URL, each
+              with an expiry (expiresAt) and the problem metadata read
+              from the page (difficulty, tags, number, premium)
+  - snapshots: submitted code (opt-in), keyed by snapshot id and linked to
+              its session and verdict
+
+  Writes come from the background (including imports); pages only read.
+*/
+
+const HISTORY_DB_NAME = "session-tracker";
+const HISTORY_DB_VERSION = 4;
+
+// Which field orders each store in time
+const HISTORY_TIME_FIELDS = {
+  events: "timestamp",
+  sessions: "startTime",
+  problems: "lastSeen",
+  registry: "fetchedAt",
+  snapshots: "capturedAt"
+};
+
+class HistoryDB {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+      req.onupgradeneeded = () => {
+        const db = req.result;
+
+        if (!db.objectStoreNames.contains("events")) {
+          const events = db.createObjectStore("events", { keyPath: "id" });
+          events.createIndex("problemId", "problemId");
+          events.createIndex("platform", "platform");
+          events.createIndex("sessionId", "sessionId");
+          events.createIndex("timestamp", "timestamp");
+        }
+
+        // Version 3 indexed `delivered`, but IndexedDB skips boolean keys, so
+        // the index stayed empty; delivery is filtered in memory instead
+        const events = req.transaction.objectStore("events");
+        if (events.indexNames.contains("delivered")) events.deleteIndex("delivered");
+
+        if (!db.objectStoreNames.contains("sessions")) {
+          const sessions = db.createObjectStore("sessions", { keyPath: "sessionId" });
+          sessions.createIndex("problemId", "problemId");
+          sessions.createIndex("platform", "platform");
+          sessions.createIndex("startTime", "startTime");
+        }
+
+        if (!db.objectStoreNames.contains("problems")) {
+          const problems = db.createObjectStore("problems", { keyPath: "problemId" });
+          problems.createIndex("platform", "platform");
+          problems.createIndex("lastSeen", "lastSeen");
+        }
+
+        if (!db.objectStoreNames.contains("registry")) {
+          const registry = db.createObjectStore("registry", { keyPath: "key" });
+          registry.createIndex("problemId", "problemId");
+          registry.createIndex("fetchedAt", "fetchedAt");
+        }
+
+        if (!db.objectStoreNames.contains("snapshots")) {
+          const snapshots = db.createObjectStore("snapshots", { keyPath: "id" });
+          snapshots.createIndex("problemId", "problemId");
+          snapshots.createIndex("platform", "platform");
+          snapshots.createIndex("sessionId", "sessionId");
+          snapshots.createIndex("capturedAt", "capturedAt");
+        }
+      };
+
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        this.dbPromise = null;
+        reject(req.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  // ------------- Writes -----------------
+
+  async put(storeName, records) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, "readwrite");
+      const store = tx.objectStore(storeName);
+      for (const record of [].concat(records)) store.put(record);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  putEvents(records) {
+    return this.put("events", records);
+  }
+
+  putSession(record) {
+    return this.put("sessions", record);
+  }
+
+  putProblem(record) {
+    return this.put("problems", record);
+  }
+
+  putRegistryEntry(record) {
+    return this.put("registry", record);
+  }
+
+  putSnapshot(record) {
+    return this.put("snapshots", record);
+  }
+
+  async delete(storeName, key) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, "readwrite");
+      tx.objectStore(storeName).delete(key);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async markEventsDelivered(ids) {
+    if (ids.length === 0) return;
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction("events", "readwrite");
+      const store = tx.objectStore("events");
+      for (const id of ids) {
+        const req = store.get(id);
+        req.onsuccess = () => {
+          if (req.result && !req.result.delivered) {
+            store.put({ ...req.result, delivered: true });
+          }
+        };
+      }
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Re-key events, sessions and snapshots from one problemId to another,
+  // including the copy inside each event's payload
+  async remapProblemId(fromId, toId) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const stores = ["events", "sessions", "snapshots"];
+      const tx = db.transaction(stores, "readwrite");
+      let updated = 0;
+      for (const storeName of stores) {
+        const req = tx.objectStore(storeName).index("problemId").openCursor(IDBKeyRange.only(fromId));
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (!cursor) return;
+          const record = { ...cursor.value, problemId: toId };
+          if (record.data?.problemId === fromId) record.data = { ...record.data, problemId: toId };
+          cursor.update(record);
+          updated++;
+          cursor.continue();
+        };
+      }
+      tx.oncomplete = () => resolve(updated);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async clear(storeName) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, "readwrite");
+      tx.objectStore(storeName).clear();
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // Drop events, sessions and snapshots older than the retention window.
+  // Problems are tiny and keep history labels readable, and accepted
+  // snapshots are the solution archive, so neither is pruned.
+  async prune(retentionDays) {
+    if (!(retentionDays > 0)) return 0;
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const stores = ["events", "sessions", "snapshots"];
+      const tx = db.transaction(stores, "readwrite");
+      let removed = 0;
+      for (const storeName of stores) {
+        const index = tx.objectStore(storeName).index(HISTORY_TIME_FIELDS[storeName]);
+        const req = index.openCursor(IDBKeyRange.upperBound(cutoff, true));
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (!cursor) return;
+          if (storeName !== "snapshots" || cursor.value.verdict !== "Accepted") {
+            cursor.delete();
+            removed++;
+          }
+          cursor.continue();
+        };
+      }
+      tx.oncomplete = () => resolve(removed);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // ------------- Reads -----------------
+
+  async get(storeName, key) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(storeName, "readonly").objectStore(storeName).get(key);
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  getProblem(problemId) {
+    return this.get("problems", problemId);
+  }
+
+  getSession(sessionId) {
+    return this.get("sessions", sessionId);
+  }
+
+  getRegistryEntry(key) {
+    return this.get("registry", key);
+  }
+
+  getSnapshot(id) {
+    return this.get("snapshots", id);
+  }
+
+  queryEvents(filter) {
+    return this.query("events", filter);
+  }
+
+  querySessions(filter) {
+    return this.query("sessions", filter);
+  }
+
+  queryProblems(filter) {
+    return this.query("problems", filter);
+  }
+
+  querySnapshots(filter) {
+    return this.query("snapshots", filter);
+  }
+
+  /*
+    filter: { problemId, platform, sessionId, eventType, delivered,
+              from, to (ms, inclusive), limit, order: "desc" | "asc" }
+    Results are ordered by the store's time field (newest first by default).
+    Walks the narrowest index available and filters the rest in memory.
+  */
+  async query(storeName, filter = {}) {
+    const { problemId, platform, sessionId, eventType, delivered, from, to, limit = Infinity, order = "desc" } = filter;
+    const timeField = HISTORY_TIME_FIELDS[storeName];
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = db.transaction(storeName, "readonly").objectStore(storeName);
+
+      let source;
+      let range = null;
+      if (problemId != null && store.indexNames.contains("problemId")) {
+        source = store.index("problemId");
+        range = IDBKeyRange.only(problemId);
+      } else if (sessionId != null && store.indexNames.contains("sessionId")) {
+        source = store.index("sessionId");
+        range = IDBKeyRange.only(sessionId);
+      } else if (platform != null && from == null && to == null) {
+        source = store.index("platform");
+        range = IDBKeyRange.only(platform);
+      } else {
+        source = store.index(timeField);
+        if (from != null && to != null) range = IDBKeyRange.bound(from, to);
+        else if (from != null) range = IDBKeyRange.lowerBound(from);
+        else if (to != null) range = IDBKeyRange.upperBound(to);
+      }
+      // Only the time index is already in result order and can stop early
+      const ordered = source.keyPath === timeField;
+
+      const matches = (r) =>
+        (problemId == null || r.problemId === problemId) &&
+        (platform == null || r.platform === platform) &&
+        (sessionId == null || r.sessionId === sessionId) &&
+        (eventType == null || r.eventType === eventType) &&
+        (delivered == null || !!r.delivered === delivered) &&
+        (from == null || r[timeField] >= from) &&
+        (to == null || r[timeField] <= to);
+
+      const out = [];
+      const req = source.openCursor(range, order === "desc" ? "prev" : "next");
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor || (ordered && out.length >= limit)) {
+          if (!ordered) {
+            const dir = order === "desc" ? -1 : 1;
+            out.sort((a, b) => dir * ((a[timeField] || 0) - (b[timeField] || 0)));
+          }
+          resolve(out.slice(0, limit));
+          return;
+        }
+        if (matches(cursor.value)) out.push(cursor.value);
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // Subset of `keys` already present in the store
+  async existingKeys(storeName, keys) {
+    const found = new Set();
+    if (keys.length === 0) return found;
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const store = db.transaction(storeName, "readonly").objectStore(storeName);
+      for (const key of keys) {
+        const req = store.getKey(key);
+        req.onsuccess = () => {
+          if (req.result !== undefined) found.add(key);
+        };
+      }
+      store.transaction.oncomplete = () => resolve(found);
+      store.transaction.onerror = () => reject(store.transaction.error);
+    });
+  }
+
+  async count(storeName) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(storeName, "readonly").objectStore(storeName).count();
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+}
+
+globalThis.HistoryDB = HistoryDB;
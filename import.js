@@ -0,0 +1,275 @@
+/*
+  Parsers for files produced by export.js (and the older popup export), so
+  history can be restored on another machine or after a reinstall. Pure
+  functions; exposed as `Importers` on globalThis.
+
+  Accepted files:
+  - NDJSON:  one event per line (Exporters.toNdjson)
+  - CSV:     one session per row (Exporters.toCsv)
+  - Summary: JSON with format "session-tracker-summary" (Exporters.toSummary)
+  - Legacy:  JSON { events: [...], retryQueue: [...] } from the old popup export
+
+  parse() returns HistoryDB-shaped records plus a list of rejected entries.
+  It never writes anything; the background merges the result.
+*/
+
+const IMPORT_MAX_SCHEMA_VERSION = 3;
+
+const toNumber = (v) => (v === "" || v == null ? null : Number.isFinite(Number(v)) ? Number(v) : null);
+const toTime = (v) => {
+  if (v === "" || v == null) return null;
+  if (typeof v === "number") return v;
+  const ms = Date.parse(v);
+  return Number.isNaN(ms) ? null : ms;
+};
+const toText = (v) => (v === "" || v == null ? null : String(v));
+// "C++=1200;Python=300" (Exporters' language_active_ms) -> { "C++": 1200, ... }
+const parseLanguageTimes = (v) => {
+  const out = {};
+  for (const part of String(v ?? "").split(";")) {
+    const i = part.lastIndexOf("=");
+    const ms = i > 0 ? toNumber(part.slice(i + 1)) : null;
+    if (ms != null) out[part.slice(0, i).trim()] = ms;
+  }
+  return out;
+};
+
+const Importers = {
+  // Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF or LF
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ",") {
+        row.push(field);
+        field = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && text[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += ch;
+      }
+    }
+    if (field !== "" || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter(r => r.length > 1 || r[0] !== "");
+  },
+
+  // Session record from a CSV row or summary entry, keyed by export column name
+  sessionFromRow(row) {
+    const acceptedActiveMs = toNumber(row.accepted_active_ms);
+    return {
+      sessionId: toText(row.session_id),
+      tabId: null,
+      problemId: toText(row.problem_id),
+      problemKey: toText(row.problem_key),
+      problemTitle: toText(row.problem_title),
+      platform: toText(row.platform),
+      url: toText(row.problem_url),
+      expectedTime: toNumber(row.expected_time_sec),
+      startTime: toTime(row.start_time),
+      endTime: toTime(row.end_time),
+      activeMs: toNumber(row.active_ms) ?? 0,
+      wallMs: toNumber(row.wall_ms) ?? 0,
+      pausedMs: toNumber(row.paused_ms) ?? 0,
+      counters: {
+        keystrokes: toNumber(row.keystrokes) ?? 0,
+        runs: toNumber(row.runs) ?? 0,
+        submissions: toNumber(row.submissions) ?? 0
+      },
+      finalVerdict: toText(row.final_verdict),
+      firstAccepted: acceptedActiveMs == null ? null : {
+        activeMs: acceptedActiveMs,
+        runs: toNumber(row.runs_before_accepted) ?? 0,
+        submissions: toNumber(row.submissions_before_accepted) ?? 0
+      },
+      language: toText(row.language),
+      languageMs: parseLanguageTimes(row.language_active_ms),
+      reason: toText(row.end_reason),
+      status: toText(row.status) || "ended"
+    };
+  },
+
+  // Event record from an NDJSON line, a history record or a queued envelope.
+  // Envelopes sitting in an exported retry queue were never acknowledged.
+  eventFromEntry(entry, { pending = false } = {}) {
+    return {
+      id: toText(entry.clientEventId ?? entry.id),
+      sessionId: toText(entry.sessionId),
+      seq: toNumber(entry.seq),
+      eventType: toText(entry.eventType),
+      problemId: toText(entry.problemId ?? entry.data?.problemId),
+      platform: toText(entry.platform ?? entry.data?.platform),
+      timestamp: toTime(entry.timestamp),
+      data: entry.data && typeof entry.data === "object" ? entry.data : null,
+      delivered: pending ? false : !!entry.delivered
+    };
+  },
+
+  // Returns an error message, or null when the record can be stored. Events
+  // from the original export have no ID; the background dedupes those by
+  // eventType + timestamp instead.
+  validateEvent(record) {
+    if (!record.eventType) return "missing eventType";
+    if (record.timestamp == null) return "missing or invalid timestamp";
+    return null;
+  },
+
+  validateSession(record) {
+    if (!record.sessionId) return "missing session_id";
+    if (record.startTime == null) return "missing or invalid start_time";
+    return null;
+  },
+
+  checkSchemaVersion(version) {
+    if (version != null && version > IMPORT_MAX_SCHEMA_VERSION) {
+      throw new Error(`Export schema version ${version} is newer than this extension supports`);
+    }
+  },
+
+  /*
+    Returns { format, events, sessions, errors } where errors is
+    [{ at, message }] for entries that were skipped. `at` is a line number
+    (NDJSON, CSV) or an array position (JSON). Throws when the file as a
+    whole is not one of ours.
+  */
+  parse(text, filename = "") {
+    const trimmed = text.replace(/^\uFEFF/, "").trim();
+    if (!trimmed) throw new Error("File is empty");
+
+    if (/\.csv$/i.test(filename) || /^session_id,/.test(trimmed)) {
+      return this.parseSessionsCsv(trimmed);
+    }
+    if (/\.ndjson$/i.test(filename)) {
+      return this.parseEventsNdjson(trimmed);
+    }
+
+    let doc;
+    try {
+      doc = JSON.parse(trimmed);
+    } catch {
+      // Several JSON objects on separate lines is NDJSON without the extension
+      const out = this.parseEventsNdjson(trimmed);
+      if (out.events.length === 0) throw new Error("Unrecognized file: expected a CSV, NDJSON or JSON export");
+      return out;
+    }
+    if (doc?.format === "session-tracker-summary") {
+      return this.parseSummary(doc);
+    }
+    if (doc && (Array.isArray(doc.events) || Array.isArray(doc.retryQueue))) {
+      return this.parseLegacy(doc);
+    }
+    if (doc?.eventType) {
+      return this.parseEventsNdjson(trimmed);
+    }
+    throw new Error("Unrecognized file: expected a CSV, NDJSON or JSON export");
+  },
+
+  parseEventsNdjson(text) {
+    const out = { format: "ndjson", events: [], sessions: [], errors: [] };
+    const lines = text.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i].trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch {
+        out.errors.push({ at: i + 1, message: "not valid JSON" });
+        continue;
+      }
+      this.checkSchemaVersion(entry.schemaVersion);
+      this.collect(out.events, out.errors, i + 1, this.eventFromEntry(entry), this.validateEvent);
+    }
+    return out;
+  },
+
+  parseSessionsCsv(text) {
+    const out = { format: "csv", events: [], sessions: [], errors: [] };
+    const [header, ...rows] = this.parseCsv(text);
+    if (!header || !header.includes("session_id") || !header.includes("start_time")) {
+      throw new Error("CSV header does not match the session export");
+    }
+    rows.forEach((cells, i) => {
+      const row = Object.fromEntries(header.map((name, col) => [name, cells[col] ?? ""]));
+      // +2: 1-based, after the header line
+      this.collect(out.sessions, out.errors, i + 2, this.sessionFromRow(row), this.validateSession);
+    });
+    return out;
+  },
+
+  parseSummary(doc) {
+    this.checkSchemaVersion(doc.schemaVersion);
+    const out = { format: "summary", events: [], sessions: [], errors: [] };
+    if (!Array.isArray(doc.sessions)) throw new Error("Summary has no sessions array");
+    doc.sessions.forEach((row, i) => {
+      this.collect(out.sessions, out.errors, i, this.sessionFromRow(row || {}), this.validateSession);
+    });
+    return out;
+  },
+
+  /*
+    The original popup export, { events, retryQueue }. Its retry queue items
+    are { eventType, data, tabId, retryCount, nextRetry }: no timestamp and
+    no client ID. They are timed by nextRetry (else the import) and get an
+    ID derived from the entry, so they can be re-sent and importing the
+    same file twice still finds them already present.
+  */
+  parseLegacy(doc, importedAt = Date.now()) {
+    const out = { format: "legacy", events: [], sessions: [], errors: [] };
+    (doc.events || []).forEach((entry, i) => {
+      this.collect(out.events, out.errors, i, this.eventFromEntry(entry || {}), this.validateEvent);
+    });
+    (doc.retryQueue || []).forEach((entry, i) => {
+      entry = entry || {};
+      const record = this.eventFromEntry({
+        ...entry,
+        timestamp: entry.timestamp ?? entry.nextRetry ?? importedAt
+      }, { pending: true });
+      if (!record.id && record.eventType) record.id = this.legacyEventId(entry);
+      this.collect(out.events, out.errors, `retryQueue[${i}]`, record, this.validateEvent);
+    });
+    return out;
+  },
+
+  // Two FNV-1a passes (64 bits) over the queue item as exported
+  legacyEventId(entry) {
+    const text = JSON.stringify([entry.eventType, entry.data ?? null, entry.nextRetry ?? null, entry.retryCount ?? null]);
+    const fnv = (seed) => {
+      let h = seed;
+      for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+      }
+      return (h >>> 0).toString(16).padStart(8, "0");
+    };
+    return `legacy-${fnv(0x811c9dc5)}${fnv(0x050c5d1f)}`;
+  },
+
+  collect(list, errors, at, record, validate) {
+    const message = validate(record);
+    if (message) errors.push({ at, message });
+    else list.push(record);
+  }
+};
+
+globalThis.Importers = Importers;
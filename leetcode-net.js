@@ -0,0 +1,135 @@
+// LeetCode network capture (opt-in). Runs in the page's main world, where
+// it can see LeetCode's own fetch/XHR traffic, and posts what it reads to
+// content.js with window.postMessage. It has no access to chrome.* APIs.
+//
+// Sources:
+// - /submissions/detail/<id>/check/: polled after Run and Submit; the
+//   SUCCESS response carries status, runtime, memory, language and counts
+// - /graphql submissionDetails: percentiles for a submission, fetched by the
+//   result panel shortly after the check succeeds
+(() => {
+  if (window.__sessionTrackerNet) return;
+  window.__sessionTrackerNet = true;
+
+  const SOURCE = "session-tracker-net";
+  const CHECK_PATH = /\/submissions\/detail\/([^/]+)\/check\/?/;
+  const GRAPHQL_PATH = /\/graphql\/?(?:\?|$)/;
+
+  const post = (payload) => window.postMessage({ source: SOURCE, payload }, window.location.origin);
+
+  // "12 ms" -> 12, "41.2 MB" -> 41.2; null when absent or not numeric
+  const leadingNumber = (text) => {
+    const n = parseFloat(String(text ?? ""));
+    return Number.isFinite(n) ? n : null;
+  };
+
+  const numberOrNull = (v) => (v == null || v === "" || !Number.isFinite(Number(v)) ? null : Number(v));
+
+  const bytesToMb = (v) => {
+    const n = numberOrNull(v);
+    return n == null ? null : Math.round((n / 1048576) * 100) / 100;
+  };
+
+  // 1-based first failing case. Runs report every case in compare_result
+  // ("110"); judging stops at the first failure, right after total_correct.
+  function failedCase(kind, body) {
+    if (kind === "run") {
+      const i = String(body.compare_result ?? "").indexOf("0");
+      return i >= 0 ? i + 1 : null;
+    }
+    const correct = numberOrNull(body.total_correct);
+    return body.status_msg !== "Accepted" && correct != null ? correct + 1 : null;
+  }
+
+  function fromCheck(id, body) {
+    if (body?.state !== "SUCCESS") return null;
+    // Run Code IDs look like "runcode_1700000000.12_abc"
+    const kind = /^runcode_/.test(id) || /RunCode/.test(body.task_name || "") ? "run" : "submit";
+    let status = body.status_msg || null;
+    // A run that executes cleanly but disagrees with the expected output
+    if (kind === "run" && status === "Accepted" && body.correct_answer === false) status = "Wrong Answer";
+    return {
+      type: "check",
+      submissionId: kind === "submit" ? String(body.submission_id ?? id) : null,
+      kind,
+      status,
+      runtime: leadingNumber(body.status_runtime),
+      memory: body.status_memory ? leadingNumber(body.status_memory) : bytesToMb(body.memory),
+      runtimePercentile: numberOrNull(body.runtime_percentile),
+      memoryPercentile: numberOrNull(body.memory_percentile),
+      testsPassed: numberOrNull(body.total_correct),
+      testsTotal: numberOrNull(body.total_testcases),
+      failedCase: failedCase(kind, body),
+      language: body.pretty_lang || body.lang || null,
+      // Identifies the run or submission even when submissionId is null
+      checkId: id
+    };
+  }
+
+  function fromGraphql(requestBody, body) {
+    const details = body?.data?.submissionDetails;
+    if (!details) return null;
+    let variables = {};
+    try {
+      variables = JSON.parse(requestBody || "{}").variables || {};
+    } catch (_) {}
+    if (variables.submissionId == null) return null;
+    return {
+      type: "details",
+      submissionId: String(variables.submissionId),
+      runtimePercentile: numberOrNull(details.runtimePercentile),
+      memoryPercentile: numberOrNull(details.memoryPercentile),
+      testsPassed: numberOrNull(details.totalCorrect),
+      testsTotal: numberOrNull(details.totalTestcases),
+      language: details.lang?.verboseName || details.lang?.name || null
+    };
+  }
+
+  function inspect(url, requestBody, text) {
+    try {
+      const path = new URL(url, window.location.href).pathname;
+      const check = path.match(CHECK_PATH);
+      let payload = null;
+      if (check) payload = fromCheck(check[1], JSON.parse(text));
+      else if (GRAPHQL_PATH.test(path) && /submissionDetails/.test(requestBody || "")) {
+        payload = fromGraphql(requestBody, JSON.parse(text));
+      }
+      if (payload) post(payload);
+    } catch (_) {
+      // Never let capture break the page
+    }
+  }
+
+  const interesting = (url) => CHECK_PATH.test(url) || GRAPHQL_PATH.test(url);
+
+  const originalFetch = window.fetch;
+  window.fetch = function (input, init) {
+    const promise = originalFetch.apply(this, arguments);
+    const url = typeof input === "string" ? input : input?.url || String(input);
+    if (interesting(url)) {
+      const requestBody = typeof init?.body === "string" ? init.body : null;
+      promise.then((res) => res.clone().text().then((text) => inspect(url, requestBody, text))).catch(() => {});
+    }
+    return promise;
+  };
+
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+  XMLHttpRequest.prototype.open = function (method, url) {
+    this.__stUrl = String(url);
+    return originalOpen.apply(this, arguments);
+  };
+  XMLHttpRequest.prototype.send = function (body) {
+    if (this.__stUrl && interesting(this.__stUrl)) {
+      const requestBody = typeof body === "string" ? body : null;
+      this.addEventListener("load", () => {
+        if (this.responseType === "" || this.responseType === "text") {
+          inspect(this.__stUrl, requestBody, this.responseText);
+        } else if (this.responseType === "json" && this.response) {
+          inspect(this.__stUrl, requestBody, JSON.stringify(this.response));
+        }
+      });
+    }
+    return originalSend.apply(this, arguments);
+  };
+})();
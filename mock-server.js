@@ -3,11 +3,17 @@
 
 const http = require('http');
 const url = require('url');
+const crypto = require('crypto');
 
 // In-memory storage for testing
 const problems = new Map();
 const events = [];
 
+// clientEventId -> stored event, so redelivered events are not counted twice
+const eventsByClientId = new Map();
+const MAX_TRACKED_CLIENT_IDS = 10000;
+let duplicateEvents = 0;
+
 const server = http.createServer((req, res) => {
   const parsedUrl = url.parse(req.url, true);
   const path = parsedUrl.pathname;
@@ -41,6 +47,8 @@ const server = http.createServer((req, res) => {
         handleProblemDetect(req, res, requestData);
       } else if (path === '/api/v1/problems/events' && method === 'POST') {
         handleProblemEvents(req, res, requestData);
+      } else if (path === '/api/v1/problems/events/batch' && method === 'POST') {
+        handleProblemEventsBatch(req, res, requestData);
       } else if (path === '/api/health' && method === 'GET') {
         handleHealthCheck(req, res);
       } else if (path === '/api/stats' && method === 'GET') {
@@ -69,19 +77,20 @@ function handleProblemDetect(req, res, data) {
     return;
   }
 
-  // Generate a unique problem ID
-  const problemId = `problem_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  
-  // Store problem info
-  problems.set(problemId, {
-    problemId,
-    userId: data.userId,
-    platform: data.platform,
-    problemTitle: data.problemTitle,
-    problemUrl: data.problemUrl,
-    detectedAt: new Date().toISOString(),
-    expectedTime: Math.floor(Math.random() * 1800) + 600 // 10-40 minutes in seconds
-  });
+  // Same platform + URL always yields the same problem, across restarts too
+  const problemId = stableProblemId(data.platform, data.problemUrl || data.problemTitle);
+
+  if (!problems.has(problemId)) {
+    problems.set(problemId, {
+      problemId,
+      userId: data.userId,
+      platform: data.platform,
+      problemTitle: data.problemTitle,
+      problemUrl: data.problemUrl,
+      detectedAt: new Date().toISOString(),
+      expectedTime: 600 + (parseInt(problemId.slice(-4), 16) % 1800) // 10-40 minutes in seconds
+    });
+  }
 
   // Simulate processing delay
   setTimeout(() => {
@@ -97,21 +106,33 @@ function handleProblemDetect(req, res, data) {
   }, 100);
 }
 
-function handleProblemEvents(req, res, data) {
-  console.log('📊 Problem Event Request:', data);
+// Query strings, fragments, trailing slashes and case do not make a new problem
+function stableProblemId(platform, problemUrl) {
+  const key = `${String(platform).toLowerCase()}|${String(problemUrl).split(/[?#]/)[0].replace(/\/+$/, '').toLowerCase()}`;
+  return `problem_${crypto.createHash('sha1').update(key).digest('hex').slice(0, 16)}`;
+}
 
+// Validate and store a single event; returns { event, duplicate } or { error }
+function ingestEvent(data) {
   // Validate required fields
-  if (!data.eventType) {
-    res.writeHead(400);
-    res.end(JSON.stringify({ 
-      error: 'Missing required field: eventType' 
-    }));
-    return;
+  if (!data || !data.eventType) {
+    return { error: 'Missing required field: eventType' };
+  }
+
+  // Already seen: answer with the original event instead of storing again
+  if (data.clientEventId && eventsByClientId.has(data.clientEventId)) {
+    duplicateEvents++;
+    console.log('♻️  Duplicate event ignored:', data.clientEventId);
+    return { event: eventsByClientId.get(data.clientEventId), duplicate: true };
   }
 
   // Store event
   const event = {
     id: `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    clientEventId: data.clientEventId || null,
+    replacesClientEventId: data.replacesClientEventId || null,
+    sessionId: data.sessionId || null,
+    seq: data.seq ?? null,
     eventType: data.eventType,
     data: data.data || data,
     timestamp: new Date().toISOString(),
@@ -120,16 +141,46 @@ function handleProblemEvents(req, res, data) {
 
   events.push(event);
 
+  // An edited replay of a rejected event takes the original's place
+  const replaced = event.replacesClientEventId && eventsByClientId.get(event.replacesClientEventId);
+  if (replaced) {
+    const index = events.indexOf(replaced);
+    if (index !== -1) events.splice(index, 1);
+    console.log('✏️  Event replaced:', event.replacesClientEventId);
+  }
+
+  if (event.clientEventId) {
+    eventsByClientId.set(event.clientEventId, event);
+    // Map iterates in insertion order, so the first key is the oldest
+    if (eventsByClientId.size > MAX_TRACKED_CLIENT_IDS) {
+      eventsByClientId.delete(eventsByClientId.keys().next().value);
+    }
+  }
+
   // Keep only last 1000 events
   if (events.length > 1000) {
     events.splice(0, events.length - 1000);
   }
 
+  return { event, duplicate: false };
+}
+
+function handleProblemEvents(req, res, data) {
+  console.log('📊 Problem Event Request:', data);
+
+  const { event, duplicate, error } = ingestEvent(data);
+  if (error) {
+    res.writeHead(400);
+    res.end(JSON.stringify({ error }));
+    return;
+  }
+
   // Simulate processing delay
   setTimeout(() => {
     const response = {
       eventId: event.id,
-      message: 'Event processed successfully',
+      duplicate,
+      message: duplicate ? 'Duplicate event ignored' : 'Event processed successfully',
       timestamp: event.timestamp
     };
 
@@ -139,6 +190,39 @@ function handleProblemEvents(req, res, data) {
   }, 50);
 }
 
+function handleProblemEventsBatch(req, res, data) {
+  if (!data || !Array.isArray(data.events)) {
+    res.writeHead(400);
+    res.end(JSON.stringify({ 
+      error: 'Missing required field: events (array)' 
+    }));
+    return;
+  }
+
+  console.log(`📦 Problem Event Batch Request: ${data.events.length} events`);
+
+  // Each event is accepted or rejected on its own; the batch as a whole succeeds
+  const results = data.events.map((item, index) => {
+    const { event, duplicate, error } = ingestEvent(item);
+    return error
+      ? { index, status: 'rejected', error }
+      : { index, status: 'accepted', eventId: event.id, duplicate };
+  });
+
+  // Simulate processing delay
+  setTimeout(() => {
+    const response = {
+      results,
+      accepted: results.filter(r => r.status === 'accepted').length,
+      rejected: results.filter(r => r.status === 'rejected').length
+    };
+
+    console.log('✅ Event Batch Response:', { accepted: response.accepted, rejected: response.rejected });
+    res.writeHead(200);
+    res.end(JSON.stringify(response));
+  }, 50);
+}
+
 function handleHealthCheck(req, res) {
   const health = {
     status: 'healthy',
@@ -165,6 +249,7 @@ function handleStats(req, res) {
     },
     events: {
       total: events.length,
+      duplicatesIgnored: duplicateEvents,
       byType: events.reduce((acc, event) => {
         acc[event.eventType] = (acc[event.eventType] || 0) + 1;
         return acc;
@@ -193,6 +278,7 @@ server.listen(PORT, () => {
   console.log(`📈 Stats: http://localhost:${PORT}/api/stats`);
   console.log(`🔍 Problem detection: POST http://localhost:${PORT}/api/v1/problems/detect`);
   console.log(`📊 Problem events: POST http://localhost:${PORT}/api/v1/problems/events`);
+  console.log(`📦 Event batches: POST http://localhost:${PORT}/api/v1/problems/events/batch`);
   console.log('\nPress Ctrl+C to stop the server\n');
 });
 
@@ -2,28 +2,60 @@ const DEFAULTS = {
   backendUrl: "http://localhost:8082",
   apiKey: "",
   userId: "user123",
-  idleMs: 60000,
-  heartbeatMs: 30000
+  idleThreshold: 60000,
+  heartbeatInterval: 30000,
+  historyRetentionDays: 180,
+  networkCapture: false,
+  codeSnapshots: false
 };
 
 const els = {
   backendUrl: document.getElementById("backendUrl"),
   apiKey: document.getElementById("apiKey"),
   userId: document.getElementById("userId"),
-  idleMs: document.getElementById("idleMs"),
-  heartbeatMs: document.getElementById("heartbeatMs"),
+  idleThreshold: document.getElementById("idleThreshold"),
+  heartbeatInterval: document.getElementById("heartbeatInterval"),
+  historyRetentionDays: document.getElementById("historyRetentionDays"),
+  networkCapture: document.getElementById("networkCapture"),
+  codeSnapshots: document.getElementById("codeSnapshots"),
   save: document.getElementById("save"),
   test: document.getElementById("test"),
-  status: document.getElementById("status")
+  clearProblemCache: document.getElementById("clearProblemCache"),
+  status: document.getElementById("status"),
+  dlList: document.getElementById("dlList"),
+  dlSelectAll: document.getElementById("dlSelectAll"),
+  dlReplaySelected: document.getElementById("dlReplaySelected"),
+  dlDiscardSelected: document.getElementById("dlDiscardSelected"),
+  dlStatus: document.getElementById("dlStatus"),
+  importFile: document.getElementById("importFile"),
+  importReenqueue: document.getElementById("importReenqueue"),
+  importPreview: document.getElementById("importPreview"),
+  importCommit: document.getElementById("importCommit"),
+  importStatus: document.getElementById("importStatus"),
+  importReport: document.getElementById("importReport"),
+  cpList: document.getElementById("cpList"),
+  cpName: document.getElementById("cpName"),
+  cpUrlPattern: document.getElementById("cpUrlPattern"),
+  cpTitleSelector: document.getElementById("cpTitleSelector"),
+  cpRunSelector: document.getElementById("cpRunSelector"),
+  cpSubmitSelector: document.getElementById("cpSubmitSelector"),
+  cpLanguageSelector: document.getElementById("cpLanguageSelector"),
+  cpVerdicts: document.getElementById("cpVerdicts"),
+  cpVerdictHint: document.getElementById("cpVerdictHint"),
+  cpSave: document.getElementById("cpSave"),
+  cpReset: document.getElementById("cpReset"),
+  cpExport: document.getElementById("cpExport"),
+  cpImportFile: document.getElementById("cpImportFile"),
+  cpStatus: document.getElementById("cpStatus")
 };
 
-function setStatus(msg, ok = true) {
-  els.status.textContent = msg;
-  els.status.className = `hint ${ok ? "ok" : "err"}`;
+function setStatus(msg, ok = true, el = els.status) {
+  el.textContent = msg;
+  el.className = `hint ${ok ? "ok" : "err"}`;
 }
 
-function clearStatusSoon(ms = 2000) {
-  setTimeout(() => setStatus(""), ms);
+function clearStatusSoon(ms = 2000, el = els.status) {
+  setTimeout(() => setStatus("", true, el), ms);
 }
 
 function load() {
@@ -31,8 +63,11 @@ function load() {
     els.backendUrl.value = cfg.backendUrl || DEFAULTS.backendUrl;
     els.apiKey.value = cfg.apiKey || DEFAULTS.apiKey;
     els.userId.value = cfg.userId || DEFAULTS.userId;
-    els.idleMs.value = Number.isFinite(cfg.idleMs) ? cfg.idleMs : DEFAULTS.idleMs;
-    els.heartbeatMs.value = Number.isFinite(cfg.heartbeatMs) ? cfg.heartbeatMs : DEFAULTS.heartbeatMs;
+    els.idleThreshold.value = Number.isFinite(cfg.idleThreshold) ? cfg.idleThreshold : DEFAULTS.idleThreshold;
+    els.heartbeatInterval.value = Number.isFinite(cfg.heartbeatInterval) ? cfg.heartbeatInterval : DEFAULTS.heartbeatInterval;
+    els.historyRetentionDays.value = Number.isFinite(cfg.historyRetentionDays) ? cfg.historyRetentionDays : DEFAULTS.historyRetentionDays;
+    els.networkCapture.checked = !!cfg.networkCapture;
+    els.codeSnapshots.checked = !!cfg.codeSnapshots;
   });
 }
 
@@ -41,8 +76,11 @@ function save() {
     backendUrl: (els.backendUrl.value || DEFAULTS.backendUrl).replace(/\/+$/, ""),
     apiKey: els.apiKey.value || "",
     userId: els.userId.value || DEFAULTS.userId,
-    idleMs: Number(els.idleMs.value) || DEFAULTS.idleMs,
-    heartbeatMs: Number(els.heartbeatMs.value) || DEFAULTS.heartbeatMs
+    idleThreshold: Number(els.idleThreshold.value) || DEFAULTS.idleThreshold,
+    heartbeatInterval: Number(els.heartbeatInterval.value) || DEFAULTS.heartbeatInterval,
+    historyRetentionDays: Number(els.historyRetentionDays.value) || DEFAULTS.historyRetentionDays,
+    networkCapture: els.networkCapture.checked,
+    codeSnapshots: els.codeSnapshots.checked
   };
   chrome.storage.sync.set(cfg, () => {
     // Notify background to refresh live config
@@ -68,6 +106,429 @@ async function testBackend() {
   clearStatusSoon();
 }
 
+async function clearProblemCache() {
+  const resp = await chrome.runtime.sendMessage({ type: "INVALIDATE_PROBLEM_CACHE" });
+  if (resp?.success) {
+    setStatus("Problem cache cleared.", true);
+  } else {
+    setStatus(`Could not clear cache: ${resp?.message || "no response"}`, false);
+  }
+  clearStatusSoon();
+}
+
+// ---------------- Dead letters ----------------
+
+async function loadDeadLetters() {
+  const resp = await chrome.runtime.sendMessage({ type: "GET_DEAD_LETTERS" });
+  renderDeadLetters(resp?.success ? resp.data : []);
+}
+
+function renderDeadLetters(items) {
+  els.dlList.textContent = "";
+  if (items.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "hint";
+    empty.textContent = "Nothing here. All events were delivered.";
+    els.dlList.appendChild(empty);
+    return;
+  }
+
+  // Newest failures first
+  for (const item of [...items].sort((a, b) => b.deadAt - a.deadAt)) {
+    els.dlList.appendChild(renderDeadLetter(item));
+  }
+}
+
+function renderDeadLetter(item) {
+  const row = document.createElement("div");
+  row.className = "dl-item";
+
+  const head = document.createElement("label");
+  head.className = "dl-head";
+  const check = document.createElement("input");
+  check.type = "checkbox";
+  check.className = "dl-check";
+  check.value = item.clientEventId;
+  const type = document.createElement("span");
+  type.className = "dl-type";
+  type.textContent = item.eventType;
+  const when = document.createElement("span");
+  when.className = "hint";
+  when.textContent = `created ${new Date(item.timestamp).toLocaleString()} · ${item.attempts.length} attempts`;
+  head.append(check, type, when);
+
+  const error = document.createElement("div");
+  error.className = "err";
+  error.textContent = item.lastError || "Unknown error";
+
+  const attempts = document.createElement("ol");
+  attempts.className = "dl-attempts hint";
+  for (const a of item.attempts) {
+    const li = document.createElement("li");
+    li.textContent = `${new Date(a.at).toLocaleTimeString()}: ${a.error}`;
+    attempts.appendChild(li);
+  }
+
+  const editor = document.createElement("textarea");
+  editor.value = JSON.stringify(item.data, null, 2);
+  editor.style.display = "none";
+
+  const replayBtn = document.createElement("button");
+  replayBtn.textContent = "Replay";
+  replayBtn.addEventListener("click", () => replayDeadLetters([item.clientEventId]));
+
+  const editBtn = document.createElement("button");
+  editBtn.textContent = "Edit & Replay";
+  editBtn.addEventListener("click", () => {
+    if (editor.style.display === "none") {
+      editor.style.display = "block";
+      editBtn.textContent = "Replay Edited";
+      return;
+    }
+    let data;
+    try {
+      data = JSON.parse(editor.value);
+    } catch (e) {
+      setStatus(`Invalid JSON: ${e.message}`, false, els.dlStatus);
+      return;
+    }
+    replayDeadLetters([item.clientEventId], { [item.clientEventId]: data });
+  });
+
+  const discardBtn = document.createElement("button");
+  discardBtn.textContent = "Discard";
+  discardBtn.addEventListener("click", () => discardDeadLetters([item.clientEventId]));
+
+  row.append(head, error, attempts, editor, replayBtn, editBtn, discardBtn);
+  return row;
+}
+
+function selectedDeadLetterIds() {
+  return Array.from(els.dlList.querySelectorAll(".dl-check:checked")).map((c) => c.value);
+}
+
+async function replayDeadLetters(ids, edits = {}) {
+  if (ids.length === 0) return;
+  const resp = await chrome.runtime.sendMessage({ type: "REPLAY_DEAD_LETTERS", ids, edits });
+  if (resp?.success) {
+    setStatus(`Replaying ${resp.count} event(s).`, true, els.dlStatus);
+  } else {
+    setStatus(`Replay failed: ${resp?.message || "no response"}`, false, els.dlStatus);
+  }
+  clearStatusSoon(2000, els.dlStatus);
+}
+
+async function discardDeadLetters(ids) {
+  if (ids.length === 0) return;
+  if (!confirm(`Permanently discard ${ids.length} event(s)?`)) return;
+  const resp = await chrome.runtime.sendMessage({ type: "DISCARD_DEAD_LETTERS", ids });
+  if (resp?.success) {
+    setStatus(`Discarded ${resp.count} event(s).`, true, els.dlStatus);
+  } else {
+    setStatus(`Discard failed: ${resp?.message || "no response"}`, false, els.dlStatus);
+  }
+  clearStatusSoon(2000, els.dlStatus);
+}
+
+function toggleSelectAll() {
+  const checks = Array.from(els.dlList.querySelectorAll(".dl-check"));
+  const allChecked = checks.length > 0 && checks.every((c) => c.checked);
+  checks.forEach((c) => (c.checked = !allChecked));
+}
+
+// ---------------- Import ----------------
+
+// Parsed file waiting for confirmation after a dry run
+let pendingImport = null;
+
+function renderImportReport(parsed, report) {
+  const lines = [
+    `Format: ${parsed.format}`,
+    `Events: ${report.events.total} in file, ${report.events.added} new, ${report.events.duplicates} already present`,
+    `Sessions: ${report.sessions.total} in file, ${report.sessions.added} new, ${report.sessions.duplicates} already present`
+  ];
+  if (els.importReenqueue.checked) {
+    lines.push(`Unacknowledged events: ${report.reenqueue.queued} to re-send, ${report.reenqueue.alreadyPending} already queued`);
+  }
+  if (parsed.errors.length > 0) {
+    const shown = parsed.errors.slice(0, 5).map((e) => `${e.at}: ${e.message}`).join("; ");
+    const more = parsed.errors.length > 5 ? ` (+${parsed.errors.length - 5} more)` : "";
+    lines.push(`Skipped ${parsed.errors.length} invalid entr${parsed.errors.length === 1 ? "y" : "ies"}: ${shown}${more}`);
+  }
+
+  els.importReport.textContent = "";
+  for (const line of lines) {
+    const li = document.createElement("li");
+    li.textContent = line;
+    els.importReport.appendChild(li);
+  }
+}
+
+async function runImport(parsed, dryRun) {
+  return chrome.runtime.sendMessage({
+    type: "IMPORT_HISTORY",
+    data: { events: parsed.events, sessions: parsed.sessions },
+    options: { reenqueue: els.importReenqueue.checked, dryRun }
+  });
+}
+
+function resetImport() {
+  pendingImport = null;
+  els.importCommit.disabled = true;
+  els.importReport.textContent = "";
+}
+
+async function previewImport() {
+  resetImport();
+  const file = els.importFile.files[0];
+  if (!file) {
+    setStatus("Choose a file first.", false, els.importStatus);
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = Importers.parse(await file.text(), file.name);
+  } catch (e) {
+    setStatus(`Cannot import: ${e.message}`, false, els.importStatus);
+    return;
+  }
+
+  const resp = await runImport(parsed, true);
+  if (!resp?.success) {
+    setStatus(`Preview failed: ${resp?.message || "no response"}`, false, els.importStatus);
+    return;
+  }
+  renderImportReport(parsed, resp.data);
+  pendingImport = parsed;
+  els.importCommit.disabled = false;
+  setStatus("Dry run only. Nothing has been written yet.", true, els.importStatus);
+}
+
+async function commitImport() {
+  if (!pendingImport) return;
+  els.importCommit.disabled = true;
+  const parsed = pendingImport;
+  const resp = await runImport(parsed, false);
+  if (resp?.success) {
+    renderImportReport(parsed, resp.data);
+    setStatus(`Imported ${resp.data.events.added} event(s) and ${resp.data.sessions.added} session(s).`, true, els.importStatus);
+    pendingImport = null;
+  } else {
+    els.importCommit.disabled = false;
+    setStatus(`Import failed: ${resp?.message || "no response"}`, false, els.importStatus);
+  }
+}
+
+// ---------------- Custom platforms ----------------
+
+const CUSTOM_PLATFORMS_FORMAT = "session-tracker-platforms";
+
+// Definition being edited; saving replaces it instead of adding a new one
+let editingPlatformId = null;
+
+async function getCustomPlatforms() {
+  const stored = await chrome.storage.local.get([Platforms.CUSTOM_PLATFORMS_KEY]);
+  return stored[Platforms.CUSTOM_PLATFORMS_KEY] || [];
+}
+
+function setCustomPlatforms(definitions) {
+  // The background reloads adapters and content scripts on this change
+  return chrome.storage.local.set({ [Platforms.CUSTOM_PLATFORMS_KEY]: definitions });
+}
+
+// "text = Verdict" per line
+function parseVerdictLines(text) {
+  return text.split("\n")
+    .map((line) => line.split("="))
+    .filter((parts) => parts.length >= 2 && parts[0].trim())
+    .map((parts) => ({ text: parts.slice(0, -1).join("=").trim(), verdict: parts[parts.length - 1].trim() }));
+}
+
+function formatVerdictLines(verdicts) {
+  return verdicts.map((v) => `${v.text} = ${v.verdict}`).join("\n");
+}
+
+async function renderCustomPlatforms() {
+  const definitions = await getCustomPlatforms();
+  els.cpList.textContent = "";
+  if (definitions.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "hint";
+    empty.textContent = "No custom platforms yet.";
+    els.cpList.appendChild(empty);
+    return;
+  }
+
+  for (const def of definitions) {
+    const origin = Platforms.customOrigin(def);
+    const granted = await chrome.permissions.contains({ origins: [origin] });
+
+    const row = document.createElement("div");
+    row.className = "cp-item";
+    const name = document.createElement("span");
+    name.className = "cp-name";
+    name.textContent = def.name;
+    const pattern = document.createElement("span");
+    pattern.className = "hint";
+    pattern.textContent = def.urlPattern;
+    const access = document.createElement("span");
+    access.className = `hint ${granted ? "ok" : "err"}`;
+    access.textContent = granted ? "access granted" : "no access";
+    row.append(name, pattern, access);
+
+    if (!granted) {
+      const grantBtn = document.createElement("button");
+      grantBtn.textContent = "Grant Access";
+      grantBtn.addEventListener("click", () => requestAccess(def));
+      row.appendChild(grantBtn);
+    }
+    const editBtn = document.createElement("button");
+    editBtn.textContent = "Edit";
+    editBtn.addEventListener("click", () => fillPlatformForm(def));
+    const removeBtn = document.createElement("button");
+    removeBtn.textContent = "Remove";
+    removeBtn.addEventListener("click", () => removeCustomPlatform(def));
+    row.append(editBtn, removeBtn);
+    els.cpList.appendChild(row);
+  }
+}
+
+function fillPlatformForm(def = null) {
+  editingPlatformId = def?.id || null;
+  els.cpName.value = def?.name || "";
+  els.cpUrlPattern.value = def?.urlPattern || "";
+  els.cpTitleSelector.value = def?.titleSelector || "";
+  els.cpRunSelector.value = def?.runSelector || "";
+  els.cpSubmitSelector.value = def?.submitSelector || "";
+  els.cpLanguageSelector.value = def?.languageSelector || "";
+  els.cpVerdicts.value = formatVerdictLines(def?.verdicts || []);
+}
+
+// Must run inside the click handler: Chrome only shows the prompt for a user gesture
+function requestAccess(def) {
+  return chrome.permissions.request({ origins: [Platforms.customOrigin(def)] })
+    .then((granted) => {
+      setStatus(granted ? `Access granted for ${def.name}.` : `Access to ${def.name} was not granted; it will not be tracked.`, granted, els.cpStatus);
+      renderCustomPlatforms();
+      return granted;
+    });
+}
+
+function saveCustomPlatform() {
+  const { definition, errors } = Platforms.validateCustom({
+    name: els.cpName.value,
+    urlPattern: els.cpUrlPattern.value,
+    titleSelector: els.cpTitleSelector.value,
+    runSelector: els.cpRunSelector.value,
+    submitSelector: els.cpSubmitSelector.value,
+    languageSelector: els.cpLanguageSelector.value,
+    verdicts: parseVerdictLines(els.cpVerdicts.value)
+  });
+  if (!definition) {
+    setStatus(errors.join("; "), false, els.cpStatus);
+    return;
+  }
+
+  // Ask first, while the click still counts as a user gesture
+  const access = requestAccess(definition);
+  getCustomPlatforms()
+    // A rename or new host gives the edited platform a new id
+    .then((definitions) => setCustomPlatforms([
+      ...definitions.filter((d) => d.id !== definition.id && d.id !== editingPlatformId),
+      definition
+    ]))
+    .then(() => access)
+    .then(() => {
+      fillPlatformForm();
+      renderCustomPlatforms();
+    });
+}
+
+async function removeCustomPlatform(def) {
+  if (!confirm(`Stop tracking ${def.name}?`)) return;
+  const remaining = (await getCustomPlatforms()).filter((d) => d.id !== def.id);
+  await setCustomPlatforms(remaining);
+
+  // Give the host back unless another definition still uses it
+  const origin = Platforms.customOrigin(def);
+  if (!remaining.some((d) => Platforms.customOrigin(d) === origin)) {
+    await chrome.permissions.remove({ origins: [origin] });
+  }
+  if (editingPlatformId === def.id) fillPlatformForm();
+  setStatus(`Removed ${def.name}.`, true, els.cpStatus);
+  clearStatusSoon(2000, els.cpStatus);
+  renderCustomPlatforms();
+}
+
+async function exportCustomPlatforms() {
+  const doc = { format: CUSTOM_PLATFORMS_FORMAT, version: 1, platforms: await getCustomPlatforms() };
+  const url = URL.createObjectURL(new Blob([JSON.stringify(doc, null, 2)], { type: "application/json" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "session-tracker-platforms.json";
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Imported definitions replace ones with the same id; access is granted per
+// platform afterwards from the list, since a file pick is not a user gesture
+async function importCustomPlatforms() {
+  const file = els.cpImportFile.files[0];
+  if (!file) return;
+  els.cpImportFile.value = "";
+
+  let doc;
+  try {
+    doc = JSON.parse(await file.text());
+  } catch (e) {
+    setStatus(`Invalid JSON: ${e.message}`, false, els.cpStatus);
+    return;
+  }
+  const list = doc?.format === CUSTOM_PLATFORMS_FORMAT ? doc.platforms : Array.isArray(doc) ? doc : null;
+  if (!Array.isArray(list)) {
+    setStatus("Not a platform definitions file.", false, els.cpStatus);
+    return;
+  }
+
+  const valid = [];
+  const problems = [];
+  for (const item of list) {
+    const { definition, errors } = Platforms.validateCustom(item);
+    if (definition) valid.push(definition);
+    else problems.push(`${item?.name || "(unnamed)"}: ${errors.join(", ")}`);
+  }
+  const ids = new Set(valid.map((d) => d.id));
+  await setCustomPlatforms([...(await getCustomPlatforms()).filter((d) => !ids.has(d.id)), ...valid]);
+  await renderCustomPlatforms();
+
+  const msg = `Imported ${valid.length} platform(s).` + (problems.length ? ` Skipped: ${problems.join("; ")}` : "");
+  setStatus(msg, problems.length === 0, els.cpStatus);
+}
+
 els.save.addEventListener("click", save);
 els.test.addEventListener("click", testBackend);
+els.clearProblemCache.addEventListener("click", clearProblemCache);
+els.dlSelectAll.addEventListener("click", toggleSelectAll);
+els.dlReplaySelected.addEventListener("click", () => replayDeadLetters(selectedDeadLetterIds()));
+els.dlDiscardSelected.addEventListener("click", () => discardDeadLetters(selectedDeadLetterIds()));
+els.importPreview.addEventListener("click", previewImport);
+els.importCommit.addEventListener("click", commitImport);
+// A preview is only valid for the file and options it was run with
+els.importFile.addEventListener("change", resetImport);
+els.importReenqueue.addEventListener("change", resetImport);
+els.cpSave.addEventListener("click", saveCustomPlatform);
+els.cpReset.addEventListener("click", () => fillPlatformForm());
+els.cpExport.addEventListener("click", exportCustomPlatforms);
+els.cpImportFile.addEventListener("change", importCustomPlatforms);
+els.cpVerdictHint.textContent = `One "page text = verdict" per line. The text must be an element's whole text. Verdicts: ${Platforms.VERDICTS.join(", ")}.`;
 document.addEventListener("DOMContentLoaded", load);
+document.addEventListener("DOMContentLoaded", loadDeadLetters);
+document.addEventListener("DOMContentLoaded", renderCustomPlatforms);
+
+// Background rewrites the store on every change; keep the list live
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.deadLetters) {
+    renderDeadLetters(changes.deadLetters.newValue || []);
+  }
+});
@@ -0,0 +1,766 @@
+/*
+  Platform adapter registry: everything the extension knows about a coding
+  site lives in one adapter. Loaded by the background worker
+  (`import "./platforms.js"`), by the manifest ahead of the content script,
+  by extension pages and by sync-manifest.js in Node; it exposes `Platforms`
+  on globalThis. Nothing here touches the DOM until an adapter method is
+  called with a document.
+
+  Adapter shape (fields not given fall back to BASE_ADAPTER):
+    id, name, color          identity and UI labels
+    hosts                    exact hostnames; drive manifest host_permissions
+                             and content-script matches (run sync-manifest.js)
+    problemPath              RegExp on the pathname, slug in the first group
+    slugFromPath(pathname)   override when one group is not enough
+    canonicalUrl(slug)       one URL per problem
+    verdictPagePath          RegExp for pages other than the problem page
+                             where verdicts appear (submission status lists)
+    titleSelectors           tried in order by readTitle()
+    documentTitleSuffix      stripped from document.title as a last resort
+    readTitle(doc)
+    difficultySelectors      element whose text holds the difficulty or rating
+    tagSelector              every match is one topic tag
+    premiumPattern           RegExp on the page text for locked problems
+    readNumber(doc)          the platform's own problem number, or null
+    readMetadata(doc)        { number, difficulty, rating, tags, premium }
+    languageSelectors        the editor's language picker, tried in order
+    helpPanels               [{ kind, path, text }]: where the editorial
+                             ("editorial"), community solutions
+                             ("solutions") and hints ("hints") open, as a
+                             route (RegExp on the pathname) and/or a click
+                             on an element whose whole text matches `text`
+    helpForPath(pathname), helpForText(text)   the matching kind, or null
+    readLanguage(doc)        selected language, normalized; null when unknown
+    runSelectors / runTexts, submitSelectors / submitTexts
+    findRunButton(doc), findSubmitButton(doc)
+    verdictPatterns          [RegExp, verdict] pairs, first match wins
+    parseVerdict(text)       one of VERDICTS, or null
+    resultPanels             where results render: [{ kind, verdictSelector,
+                             panelSelector, pick }], see readResults()
+    resultPatterns           { tests, runtime, memory, failedCase } RegExp lists used on
+                             a panel's text by parseResultStats()
+    readResults(doc)         one structured result (or null) per panel
+    networkScript            main-world script reading the site's own
+                             result responses; only registered while the
+                             "networkCapture" setting is on
+
+  User-defined platforms from the options page are stored as plain JSON
+  definitions (see validateCustom) under chrome.storage.local
+  "customPlatforms" and turned into adapters by loadCustom().
+*/
+
+// The verdict vocabulary the backend and history understand
+const VERDICTS = [
+  "Accepted",
+  "Wrong Answer",
+  "Runtime Error",
+  "Time Limit Exceeded",
+  "Compilation Error",
+  "Memory Limit Exceeded"
+];
+
+const DEFAULT_VERDICT_PATTERNS = VERDICTS.map(v => [new RegExp(v), v]);
+
+// Judge shorthand, matched only when it is an element's entire text
+const SHORT_VERDICT_PATTERNS = [
+  [/^\s*AC\s*$/, "Accepted"],
+  [/^\s*WA\s*$/, "Wrong Answer"],
+  [/^\s*TLE\s*$/, "Time Limit Exceeded"],
+  [/^\s*MLE\s*$/, "Memory Limit Exceeded"],
+  [/^\s*RE\s*$/, "Runtime Error"],
+  [/^\s*CE\s*$/, "Compilation Error"]
+];
+
+/*
+  Result statistics in panel text (see panelText). Runtime and memory
+  entries are [RegExp, unit when the page shows none]; value in group 1,
+  unit in group 2. Labelled forms come before the bare "15 ms" / "3644 KB"
+  of status tables.
+*/
+const RESULT_PATTERNS = {
+  tests: [
+    /(\d+)\s*\/\s*(\d+)\s*test\s*cases?\s*passed/i,
+    /test\s*cases?\s*passed\s*:?\s*(\d+)\s*\/\s*(\d+)/i
+  ],
+  runtime: [
+    [/Runtime\s*:?\s*([\d.]+)\s*(ms|s)/i, "ms"],
+    [/(?:Exec(?:ution)?\s*Time|Time\s*Taken)\s*:?\s*([\d.]+)\s*(ms|sec|s)?/i, "ms"],
+    [/([\d.]+)\s*(ms)/, "ms"]
+  ],
+  memory: [
+    [/Memory\s*:?\s*([\d.]+)\s*(KB|KiB|MB|MiB|GB)?/i, "MB"],
+    [/([\d.]+)\s*(KB|KiB|MB|MiB|GB)/i, "MB"]
+  ],
+  // 1-based number of the first failing test
+  failedCase: [
+    /(?:Wrong answer|Time limit exceeded|Memory limit exceeded|Runtime error) on test\s*(\d+)/i,
+    /Test\s*case\s*#?\s*(\d+)\s*:?\s*(?:failed|Wrong Answer)/i,
+    /failed\s*(?:on|at)\s*test\s*(?:case)?\s*#?\s*(\d+)/i
+  ]
+};
+
+// Difficulty labels, in the platform's own casing
+const DIFFICULTY_PATTERN = /\b(School|Basic|Easy|Medium|Hard)\b/i;
+
+// LeetCode-style "Beats 95.32%" right after a runtime or memory figure
+const PERCENTILE_PATTERN = /^\D{0,20}?Beats\s*([\d.]+)\s*%/i;
+
+/*
+  One name per language whatever the source: picker labels ("Python3",
+  "GNU G++17 7.3.0", "C++ 20 (gcc 12.2)"), network responses and editor
+  modes ("cpp", "text/x-java"). First match wins, so C++ and C# come
+  before C. Anything else keeps its own label.
+*/
+const LANGUAGE_NAMES = [
+  [/c\+\+|g\+\+|^cpp\b|^c_cpp\b/i, "C++"],
+  [/^(?:c#|c\s*sharp|csharp)/i, "C#"],
+  [/^(?:python|pypy|cpython|py3?\b)/i, "Python"],
+  [/^(?:java(?!script)|openjdk|text\/x-java)/i, "Java"],
+  [/^(?:javascript|js\b|node)/i, "JavaScript"],
+  [/^(?:typescript|ts\b)/i, "TypeScript"],
+  [/^go(?:lang)?\b/i, "Go"],
+  [/^rust\b/i, "Rust"],
+  [/^kotlin\b/i, "Kotlin"],
+  [/^swift\b/i, "Swift"],
+  [/^ruby\b/i, "Ruby"],
+  [/^scala\b/i, "Scala"],
+  [/^php\b/i, "PHP"],
+  [/^dart\b/i, "Dart"],
+  [/^(?:c\b(?![#+])|gnu\s*(?:gcc\s*)?c\d*\b|gcc\b|text\/x-csrc)/i, "C"]
+];
+
+function normalizeLanguage(label) {
+  const text = String(label ?? "").replace(/\s+/g, " ").trim();
+  if (!text) return null;
+  const hit = LANGUAGE_NAMES.find(([re]) => re.test(text));
+  return hit ? hit[1] : text;
+}
+
+const toMs = (value, unit) => Math.round(/^s/i.test(unit) ? value * 1000 : value);
+const toMb = (value, unit) => {
+  const factor = /^k/i.test(unit) ? 1 / 1024 : /^g/i.test(unit) ? 1024 : 1;
+  return Math.round(value * factor * 100) / 100;
+};
+
+// Malformed escapes ("%E0%A4%A") keep the raw segment rather than throwing
+function slugFromSegment(segment) {
+  try {
+    return decodeURIComponent(segment).toLowerCase();
+  } catch {
+    return segment.toLowerCase();
+  }
+}
+
+const BASE_ADAPTER = {
+  color: "#adb5bd",
+  titleSelectors: ["h1"],
+  documentTitleSuffix: null,
+  runSelectors: [],
+  runTexts: ["Run", "Run Code"],
+  submitSelectors: [],
+  submitTexts: ["Submit", "Submit Code", "Run & Submit", "Judge"],
+  verdictPatterns: DEFAULT_VERDICT_PATTERNS,
+  resultPanels: [],
+  resultPatterns: RESULT_PATTERNS,
+  languageSelectors: [],
+  difficultySelectors: [],
+  tagSelector: null,
+  premiumPattern: null,
+  helpPanels: [],
+
+  readTitle(doc) {
+    for (const sel of this.titleSelectors) {
+      const t = doc.querySelector(sel)?.textContent?.trim();
+      if (t) return t;
+    }
+    const title = doc.title?.trim();
+    if (!title) return null;
+    return (this.documentTitleSuffix ? title.replace(this.documentTitleSuffix, "").trim() : title) || null;
+  },
+
+  matchesUrl(u) {
+    return this.hosts.includes(u.hostname.toLowerCase());
+  },
+
+  slugFromPath(pathname) {
+    const m = pathname.match(this.problemPath);
+    return m ? slugFromSegment(m[1]) : null;
+  },
+
+  isVerdictPage(href) {
+    if (!this.verdictPagePath) return false;
+    try {
+      return this.verdictPagePath.test(new URL(href).pathname);
+    } catch {
+      return false;
+    }
+  },
+
+  // "1. Two Sum" style titles carry the number
+  readNumber(doc) {
+    return this.readTitle(doc)?.match(/^(\d+)\.\s/)?.[1] ?? null;
+  },
+
+  /*
+    What the page shows about the problem itself:
+      number      the platform's problem number ("1", "1700A"), or null
+      difficulty  "Easy", "Medium", "Hard" (GeeksforGeeks adds "School" and
+                  "Basic"), or null
+      rating      numeric difficulty (Codeforces, CodeChef), or null
+      tags        topic tags as shown, [] when none
+      premium     true for a locked problem; null when the adapter cannot tell
+  */
+  readMetadata(doc) {
+    const label = firstMatch(doc, this.difficultySelectors)?.textContent || "";
+    const word = label.match(DIFFICULTY_PATTERN)?.[1];
+    const rating = word ? null : label.match(/\b(\d{3,4})\b/)?.[1];
+    const tags = this.tagSelector
+      ? Array.from(doc.querySelectorAll(this.tagSelector), el => el.textContent.trim()).filter(Boolean)
+      : [];
+    return {
+      number: this.readNumber(doc),
+      difficulty: word ? word[0].toUpperCase() + word.slice(1).toLowerCase() : null,
+      rating: rating ? Number(rating) : null,
+      tags: Array.from(new Set(tags)),
+      premium: this.premiumPattern ? this.premiumPattern.test(doc.body?.textContent || "") : null
+    };
+  },
+
+  helpForPath(pathname) {
+    return this.helpPanels.find(p => p.path?.test(pathname))?.kind ?? null;
+  },
+
+  helpForText(text) {
+    return this.helpPanels.find(p => p.text?.test(text))?.kind ?? null;
+  },
+
+  // A <select> reports its selected option; custom pickers their label
+  readLanguage(doc) {
+    for (const sel of this.languageSelectors) {
+      const el = doc.querySelector(sel);
+      if (!el) continue;
+      const label = el.tagName === "SELECT" ? el.selectedOptions?.[0]?.textContent : el.textContent;
+      const language = normalizeLanguage(label);
+      if (language) return language;
+    }
+    return null;
+  },
+
+  findRunButton(doc) {
+    return firstMatch(doc, this.runSelectors) || findButtonByText(doc, this.runTexts);
+  },
+
+  findSubmitButton(doc) {
+    return firstMatch(doc, this.submitSelectors) || findButtonByText(doc, this.submitTexts);
+  },
+
+  parseVerdict(text) {
+    if (!text) return null;
+    const hit = this.verdictPatterns.find(([re]) => re.test(text));
+    return hit ? hit[1] : null;
+  },
+
+  /*
+    Results currently on the page, one entry per resultPanels entry: null
+    when that panel is absent or still judging, otherwise
+      { kind, verdict, testsPassed, testsTotal, failedCase, runtime,
+        runtimePercentile, memory, memoryPercentile }
+    with runtime in milliseconds and memory in megabytes (null when not
+    shown). `kind` is "run" or "submit", or null when one panel serves both.
+
+    Only the element matched by verdictSelector is checked for a verdict;
+    statistics come from its closest panelSelector ancestor (or the element
+    itself). `pick: "first"` takes the first match, for status tables with
+    the newest row on top; the default is the last, most recent, match.
+    Adapters without panels (custom platforms) match whole element texts
+    anywhere on the page, which their anchored patterns make safe.
+  */
+  readResults(doc) {
+    if (this.resultPanels.length === 0) {
+      let hit = null;
+      for (const el of doc.querySelectorAll("body *")) {
+        const verdict = this.parseVerdict(el.textContent || "");
+        if (verdict) hit = { kind: null, verdict, ...this.parseResultStats(panelText(el)) };
+      }
+      return [hit];
+    }
+
+    return this.resultPanels.map((panel) => {
+      const matches = doc.querySelectorAll(panel.verdictSelector);
+      const el = panel.pick === "first" ? matches[0] : matches[matches.length - 1];
+      const verdict = el ? this.parseVerdict(el.textContent || "") : null;
+      if (!verdict) return null;
+      const container = (panel.panelSelector && el.closest(panel.panelSelector)) || el;
+      return { kind: panel.kind || null, verdict, ...this.parseResultStats(panelText(container)) };
+    });
+  },
+
+  parseResultStats(text) {
+    const stats = {
+      testsPassed: null,
+      testsTotal: null,
+      failedCase: null,
+      runtime: null,
+      runtimePercentile: null,
+      memory: null,
+      memoryPercentile: null
+    };
+    const percentileAfter = (m) => {
+      const p = text.slice(m.index + m[0].length).match(PERCENTILE_PATTERN);
+      return p ? Number(p[1]) : null;
+    };
+
+    for (const re of this.resultPatterns.tests) {
+      const m = text.match(re);
+      if (m) {
+        stats.testsPassed = Number(m[1]);
+        stats.testsTotal = Number(m[2]);
+        break;
+      }
+    }
+    for (const re of this.resultPatterns.failedCase || []) {
+      const m = text.match(re);
+      if (m) {
+        stats.failedCase = Number(m[1]);
+        break;
+      }
+    }
+    for (const [re, unit] of this.resultPatterns.runtime) {
+      const m = text.match(re);
+      if (m && Number.isFinite(parseFloat(m[1]))) {
+        stats.runtime = toMs(parseFloat(m[1]), m[2] || unit);
+        stats.runtimePercentile = percentileAfter(m);
+        break;
+      }
+    }
+    for (const [re, unit] of this.resultPatterns.memory) {
+      const m = text.match(re);
+      if (m && Number.isFinite(parseFloat(m[1]))) {
+        stats.memory = toMb(parseFloat(m[1]), m[2] || unit);
+        stats.memoryPercentile = percentileAfter(m);
+        break;
+      }
+    }
+    return stats;
+  }
+};
+
+// Text nodes joined by spaces: textContent would run table cells and
+// labels together ("test 5" + "46 ms" reads as "test 546 ms")
+function panelText(el) {
+  const parts = [];
+  const walker = el.ownerDocument.createTreeWalker(el, 4 /* NodeFilter.SHOW_TEXT */);
+  while (walker.nextNode()) parts.push(walker.currentNode.nodeValue);
+  return parts.join(" ");
+}
+
+function firstMatch(doc, selectors) {
+  for (const sel of selectors) {
+    const el = doc.querySelector(sel);
+    if (el) return el;
+  }
+  return null;
+}
+
+function findButtonByText(doc, texts) {
+  const wanted = texts.map(t => t.toLowerCase());
+  return Array.from(doc.querySelectorAll("button, a")).find((b) =>
+    wanted.includes((b.textContent || "").trim().toLowerCase())
+  ) || null;
+}
+
+const ADAPTERS = new Map();
+
+const CUSTOM_PLATFORMS_KEY = "customPlatforms";
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const Platforms = {
+  VERDICTS,
+
+  normalizeLanguage,
+
+  register(spec) {
+    const adapter = Object.assign(Object.create(BASE_ADAPTER), spec);
+    ADAPTERS.set(adapter.id, adapter);
+    return adapter;
+  },
+
+  all() {
+    return Array.from(ADAPTERS.values());
+  },
+
+  get(id) {
+    return ADAPTERS.get(id) || null;
+  },
+
+  forUrl(href) {
+    let u;
+    try {
+      u = new URL(href);
+    } catch {
+      return null;
+    }
+    return this.all().find(a => a.matchesUrl(u)) || null;
+  },
+
+  idForUrl(href) {
+    return this.forUrl(href)?.id ?? "unknown";
+  },
+
+  displayName(id) {
+    return this.get(id)?.name ?? (id === "unknown" || !id ? "Unknown" : id);
+  },
+
+  color(id) {
+    return (this.get(id) || BASE_ADAPTER).color;
+  },
+
+  // Match patterns for the manifest, e.g. "https://leetcode.com/*".
+  // Custom platforms are granted at runtime and never go in the manifest.
+  matchPatterns() {
+    return this.all().filter(a => !a.custom).flatMap(a => a.hosts.map(h => `https://${h}/*`));
+  },
+
+  // ---------------- Custom platforms ----------------
+
+  CUSTOM_PLATFORMS_KEY,
+
+  /*
+    A definition is
+      { id, name, urlPattern, titleSelector, runSelector, submitSelector,
+        languageSelector, verdicts: [{ text, verdict }] }
+    urlPattern is "http(s)://host/path-prefix*": pages under the prefix are
+    problem pages and the path segment the "*" stands for is the slug, e.g.
+    "https://judge.example.com/problems/*". The whole host is requested as
+    an optional permission so status pages and SPA navigation work too.
+    The id is always derived from host and name ("custom-<host>-<name>");
+    an id in the input, e.g. from an imported file, is ignored so it can
+    neither replace a built-in adapter nor another site's definition.
+    Returns { definition, errors }; definition is normalized when valid.
+  */
+  validateCustom(input) {
+    const errors = [];
+    const def = {
+      name: String(input?.name || "").trim(),
+      urlPattern: String(input?.urlPattern || "").trim(),
+      titleSelector: String(input?.titleSelector || "").trim(),
+      runSelector: String(input?.runSelector || "").trim(),
+      submitSelector: String(input?.submitSelector || "").trim(),
+      languageSelector: String(input?.languageSelector || "").trim(),
+      verdicts: Array.isArray(input?.verdicts) ? input.verdicts : []
+    };
+
+    if (!def.name) errors.push("name is required");
+    const m = def.urlPattern.match(/^(https?):\/\/([^/*]+)(\/[^*]*)\*?$/);
+    if (!m) {
+      errors.push('URL pattern must look like "https://host/path/*" (no wildcard in the host)');
+    } else if (this.all().some(a => !a.custom && a.hosts.includes(m[2].toLowerCase()))) {
+      errors.push(`${m[2]} is already supported`);
+    }
+    def.verdicts = def.verdicts
+      .map(v => ({ text: String(v?.text || "").trim(), verdict: v?.verdict }))
+      .filter(v => v.text);
+    for (const v of def.verdicts) {
+      if (!VERDICTS.includes(v.verdict)) errors.push(`"${v.text}" maps to unknown verdict "${v.verdict}"`);
+    }
+
+    const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    def.id = `custom-${slugify(m ? m[2] : "") || "site"}-${slugify(def.name) || "platform"}`;
+    return { definition: errors.length ? null : def, errors };
+  },
+
+  // Permission origin covering a definition's whole host
+  customOrigin(def) {
+    const u = new URL(def.urlPattern.replace(/\*$/, ""));
+    return `${u.protocol}//${u.host}/*`;
+  },
+
+  fromCustom(def) {
+    const u = new URL(def.urlPattern.replace(/\*$/, ""));
+    const prefix = u.pathname;
+    const origin = `${u.protocol}//${u.host}`;
+    const wildcard = def.urlPattern.endsWith("*");
+    const selectors = (sel) => (sel ? [sel] : []);
+    const patterns = def.verdicts.map(v => [new RegExp(`^\\s*${escapeRegExp(v.text)}\\s*$`, "i"), v.verdict]);
+
+    return {
+      id: def.id,
+      name: def.name,
+      custom: true,
+      definition: def,
+      hosts: [u.hostname.toLowerCase()],
+      matchesUrl: (url) => url.protocol === u.protocol && url.host.toLowerCase() === u.host.toLowerCase(),
+      slugFromPath(pathname) {
+        if (!pathname.toLowerCase().startsWith(prefix.toLowerCase())) return null;
+        // Without a "*" the prefix names a single problem page
+        const slug = wildcard ? pathname.slice(prefix.length).split("/")[0] : prefix.replace(/^\/|\/$/g, "");
+        return slug ? slugFromSegment(slug) : null;
+      },
+      canonicalUrl: (slug) => (wildcard ? `${origin}${prefix}${slug}` : `${origin}${prefix}`),
+      titleSelectors: selectors(def.titleSelector),
+      runSelectors: selectors(def.runSelector),
+      submitSelectors: selectors(def.submitSelector),
+      languageSelectors: selectors(def.languageSelector),
+      // Only the user's own selectors; generic button text is too loose here
+      runTexts: [],
+      submitTexts: [],
+      // Element text must equal a mapping, so prose on the page cannot match
+      verdictPatterns: patterns.length ? patterns : SHORT_VERDICT_PATTERNS
+    };
+  },
+
+  // Replace every custom adapter with the given definitions
+  loadCustom(definitions = []) {
+    for (const a of this.all()) {
+      if (a.custom) ADAPTERS.delete(a.id);
+    }
+    for (const def of definitions) {
+      // Stored before ids were derived; never let one shadow a built-in
+      if (!/^custom-/.test(def?.id || "") || ADAPTERS.has(def.id)) {
+        console.warn("[platforms] skipping custom platform with id", def?.id);
+        continue;
+      }
+      try {
+        this.register(this.fromCustom(def));
+      } catch (err) {
+        console.warn("[platforms] skipping custom platform", def?.name, err.message);
+      }
+    }
+  },
+
+  // Extension contexts only; a no-op where chrome.storage is unavailable
+  async loadStoredCustom() {
+    if (!globalThis.chrome?.storage?.local) return;
+    const stored = await chrome.storage.local.get([CUSTOM_PLATFORMS_KEY]);
+    this.loadCustom(stored[CUSTOM_PLATFORMS_KEY] || []);
+  }
+};
+
+// ---------------- Built-in adapters ----------------
+
+Platforms.register({
+  id: "leetcode",
+  name: "LeetCode",
+  color: "#ffa116",
+  hosts: ["leetcode.com"],
+  problemPath: /^\/problems\/([^/]+)/,
+  canonicalUrl: (slug) => `https://leetcode.com/problems/${slug}/`,
+  titleSelectors: [
+    'div[data-cy="question-title"] h1',
+    'h1[data-cy="question-title"]',
+    "h1",
+    ".mr-2.text-label-1"
+  ],
+  documentTitleSuffix: / - LeetCode.*$/,
+  // Result panels and the check API say "Compile Error"
+  verdictPatterns: [
+    [/Compile Error/, "Compilation Error"],
+    ...DEFAULT_VERDICT_PATTERNS
+  ],
+  runSelectors: ['button[data-e2e-locator="console-run-button"]'],
+  submitSelectors: ['button[data-e2e-locator="console-submit-button"]'],
+  // Both render inside a layout tab: the submission result tab and the
+  // console's Test Result tab
+  resultPanels: [
+    { kind: "submit", verdictSelector: '[data-e2e-locator="submission-result"]', panelSelector: ".flexlayout__tab" },
+    { kind: "run", verdictSelector: '[data-e2e-locator="console-result"]', panelSelector: ".flexlayout__tab" }
+  ],
+  // The editor header's picker button; older layouts used a listbox
+  languageSelectors: ['#editor button[aria-haspopup="dialog"]', 'button[id^="headlessui-listbox-button"]'],
+  difficultySelectors: ['[class*="text-difficulty-"]', "div[diff]"],
+  tagSelector: 'a[href^="/tag/"]',
+  // Shown in place of the statement without a subscription
+  premiumPattern: /Subscribe to unlock/i,
+  // Editorial and Solutions are layout tabs with their own routes; hints
+  // are "Hint 1", "Hint 2" ... sections of the description
+  helpPanels: [
+    { kind: "editorial", path: /^\/problems\/[^/]+\/editorial/, text: /^Editorial$/i },
+    { kind: "solutions", path: /^\/problems\/[^/]+\/solutions/, text: /^Solutions$/i },
+    { kind: "hints", text: /^Hint\s*\d*$/i }
+  ],
+  networkScript: "leetcode-net.js"
+});
+
+Platforms.register({
+  id: "geeksforgeeks",
+  name: "GeeksforGeeks",
+  color: "#2f8d46",
+  hosts: ["www.geeksforgeeks.org"],
+  problemPath: /^\/problems\/([^/]+)/,
+  canonicalUrl: (slug) => `https://www.geeksforgeeks.org/problems/${slug}/1`,
+  titleSelectors: ["h1.entry-title", "h1"],
+  runTexts: ["Compile & Run", "Run", "Run Code"],
+  verdictPatterns: [
+    [/Problem Solved Successfully/i, "Accepted"],
+    ...DEFAULT_VERDICT_PATTERNS
+  ],
+  // One output pane serves Compile & Run and Submit. Class names are CSS
+  // module hashes, so only their stable prefix is matched.
+  resultPanels: [
+    { kind: null, verdictSelector: '[class*="problems_result"], [class*="problems_output"]' }
+  ],
+  resultPatterns: {
+    ...RESULT_PATTERNS,
+    // "Time Taken : 0.36" is in seconds
+    runtime: [[/Time\s*Taken\s*:?\s*([\d.]+)\s*(ms|sec|s)?/i, "s"], ...RESULT_PATTERNS.runtime]
+  },
+  // Semantic UI dropdown, e.g. "C++ (g++ 5.4)"
+  languageSelectors: ['[class*="problems_language_dropdown"] .divider.text', ".ui.dropdown .divider.text"],
+  // "Difficulty: Medium  Accuracy: 49.0% ..."
+  difficultySelectors: ['[class*="problems_header_description"]'],
+  tagSelector: '[class*="problems_tag_container"] a',
+  // Tabs next to the problem statement, and its collapsible hints
+  helpPanels: [
+    { kind: "editorial", text: /^Editorial$/i },
+    { kind: "hints", text: /^(?:Show\s+)?Hints?(?:\s*\d+)?$/i }
+  ],
+  readNumber: () => null
+});
+
+Platforms.register({
+  id: "hackerrank",
+  name: "HackerRank",
+  color: "#1ba94c",
+  hosts: ["www.hackerrank.com"],
+  // Contest copies of a challenge share its slug
+  problemPath: /^(?:\/contests\/[^/]+)?\/challenges\/([^/]+)/,
+  canonicalUrl: (slug) => `https://www.hackerrank.com/challenges/${slug}/problem`,
+  titleSelectors: ['[data-attr1="challenge-name"]', ".ui-content-title", "h1"],
+  verdictPatterns: [
+    ...DEFAULT_VERDICT_PATTERNS,
+    [/Terminated due to timeout/i, "Time Limit Exceeded"],
+    [/Compilation error/i, "Compilation Error"]
+  ],
+  // "Run Code" and "Submit Code" both answer in the response area under the editor
+  resultPanels: [
+    { kind: null, verdictSelector: ".challenge-response, .compile-result" }
+  ],
+  languageSelectors: ['.select-language [class*="singleValue"]', ".select-language"],
+  // The challenge sidebar's "Difficulty: Easy"
+  difficultySelectors: [".difficulty-block", '[class*="difficulty"]'],
+  // A challenge tab with its own route; contest copies sit under /contests/<slug>
+  helpPanels: [
+    { kind: "editorial", path: /\/challenges\/[^/]+\/editorial/, text: /^Editorial$/i }
+  ],
+  readNumber: () => null
+});
+
+Platforms.register({
+  id: "codeforces",
+  name: "Codeforces",
+  color: "#1f8acb",
+  hosts: ["codeforces.com"],
+  // /problemset/problem/1700/A and /contest/1700/problem/A are one problem
+  problemPath: /^\/(?:problemset\/problem|contest)\/(\d+)\/(?:problem\/)?([A-Za-z]\d*)(?:\/|$)/,
+  slugFromPath(pathname) {
+    const m = pathname.match(this.problemPath);
+    return m ? `${m[1]}-${m[2].toLowerCase()}` : null;
+  },
+  canonicalUrl: (slug) => {
+    const [contest, index] = slug.split("-");
+    return `https://codeforces.com/problemset/problem/${contest}/${index.toUpperCase()}`;
+  },
+  // Submitting leads to the user's own status list, where the verdict
+  // appears; the global status tables list everyone's submissions
+  verdictPagePath: /^\/(?:contest\/\d+\/my|submissions\/[^/]+)\/?$/,
+  titleSelectors: [".problem-statement .header .title"],
+  documentTitleSuffix: /^Problem - \w+ - /,
+  submitSelectors: ['form.submitForm input[type="submit"]', 'input[type="submit"][value="Submit"]'],
+  // The menu's "Submit Code" link only opens the submit page
+  submitTexts: [],
+  verdictPatterns: [
+    [/^\s*Accepted\s*$/, "Accepted"],
+    [/^\s*Wrong answer on test \d+\s*$/i, "Wrong Answer"],
+    [/^\s*Time limit exceeded on test \d+\s*$/i, "Time Limit Exceeded"],
+    [/^\s*Memory limit exceeded on test \d+\s*$/i, "Memory Limit Exceeded"],
+    [/^\s*Runtime error on test \d+\s*$/i, "Runtime Error"],
+    [/^\s*Compilation error\s*$/i, "Compilation Error"],
+    ...SHORT_VERDICT_PATTERNS
+  ],
+  // Newest submission is the top row; its time and memory cells follow the verdict
+  resultPanels: [
+    { kind: "submit", verdictSelector: "td.status-cell", panelSelector: "tr", pick: "first" }
+  ],
+  // The submit form, on the submit page and in the problem page's sidebar
+  languageSelectors: ['select[name="programTypeId"]'],
+  tagSelector: ".tag-box",
+  // Contest and index, "1700A"
+  readNumber(doc) {
+    const slug = this.slugFromPath(doc.location?.pathname || "");
+    return slug ? slug.replace("-", "").toUpperCase() : null;
+  },
+  // The rating is the "*1500" tag
+  readMetadata(doc) {
+    const meta = BASE_ADAPTER.readMetadata.call(this, doc);
+    const rating = meta.tags.find(t => /^\*\d+$/.test(t));
+    return { ...meta, rating: rating ? Number(rating.slice(1)) : null, tags: meta.tags.filter(t => t !== rating) };
+  }
+});
+
+Platforms.register({
+  id: "atcoder",
+  name: "AtCoder",
+  color: "#222222",
+  hosts: ["atcoder.jp"],
+  // Task IDs are unique across contests (abc042 reuses arc058_a), so the
+  // task alone is the slug and its own contest hosts the canonical page
+  problemPath: /^\/contests\/[^/]+\/tasks\/([^/]+)/,
+  canonicalUrl: (slug) => `https://atcoder.jp/contests/${slug.replace(/_[^_]+$/, "")}/tasks/${slug}`,
+  // Only "My Submissions"; the contest-wide list is everyone's
+  verdictPagePath: /^\/contests\/[^/]+\/submissions\/me\/?$/,
+  // The heading also holds an "Editorial" link; only its first text node is the title
+  readTitle(doc) {
+    const heading = doc.querySelector("#main-container span.h2") || doc.querySelector("span.h2");
+    const t = heading?.firstChild?.textContent?.trim();
+    return t || doc.title?.trim() || null;
+  },
+  submitSelectors: ["#submit"],
+  // Status labels are AC, WA, TLE, ...; "WJ" and "3/10" are still judging
+  verdictPatterns: SHORT_VERDICT_PATTERNS,
+  resultPanels: [
+    { kind: "submit", verdictSelector: "table td span.label", panelSelector: "tr", pick: "first" }
+  ],
+  // The select2 widget keeps the underlying <select> in sync
+  languageSelectors: ['select[name="data.LanguageId"]'],
+  // Contest and task, "ABC042 A"
+  readNumber(doc) {
+    const slug = this.slugFromPath(doc.location?.pathname || "");
+    return slug ? slug.replace(/_([^_]+)$/, " $1").toUpperCase() : null;
+  }
+});
+
+Platforms.register({
+  id: "codechef",
+  name: "CodeChef",
+  color: "#5b4638",
+  hosts: ["www.codechef.com"],
+  // Practice (/problems/X), contest (/START100/problems/X) and submit pages
+  problemPath: /^\/(?:[A-Za-z0-9]+\/)?(?:problems|submit)\/([A-Za-z0-9_]+)/,
+  canonicalUrl: (slug) => `https://www.codechef.com/problems/${slug.toUpperCase()}`,
+  titleSelectors: ['[class*="problem-statement"] h1', "h1"],
+  documentTitleSuffix: /\s*(?:Practice Coding Problem)?\s*[-|]\s*CodeChef.*$/i,
+  verdictPatterns: [
+    [/^\s*Correct Answer\s*$/i, "Accepted"],
+    [/^\s*Wrong Answer\s*$/i, "Wrong Answer"],
+    [/^\s*Time Limit Exceeded\s*$/i, "Time Limit Exceeded"],
+    [/^\s*Memory Limit Exceeded\s*$/i, "Memory Limit Exceeded"],
+    [/^\s*Runtime Error(?:\s*\(\w+\))?\s*$/i, "Runtime Error"],
+    [/^\s*Compilation Error\s*$/i, "Compilation Error"],
+    ...SHORT_VERDICT_PATTERNS
+  ],
+  // The IDE's result block; Run and Submit share it
+  resultPanels: [
+    { kind: null, verdictSelector: '[class*="verdict"]', panelSelector: '[class*="result"]' }
+  ],
+  languageSelectors: ['[class*="language-select"] [class*="MuiSelect-select"]', '[class*="language-select"]'],
+  // "Difficulty Rating: 1277"
+  difficultySelectors: ['[class*="difficulty-rating"]', '[class*="difficulty"]'],
+  tagSelector: '[class*="problem-tags"] a, [class*="problem-tags"] [class*="tag"]',
+  // The problem code
+  readNumber(doc) {
+    return this.slugFromPath(doc.location?.pathname || "")?.toUpperCase() ?? null;
+  }
+});
+
+globalThis.Platforms = Platforms;
@@ -1,7 +1,9 @@
 class PopupManager {
   constructor() {
     this.currentTab = null;
-    this.sessionInfo = null;
+    this.sessions = [];
+    this.sessionCards = new Map(); // tabId -> card element
+    this.history = new HistoryDB();
     this.updateInterval = null;
     this.settings = null;
     
@@ -10,6 +12,8 @@ class PopupManager {
 
   async init() {
     await this.getCurrentTab();
+    await Platforms.loadStoredCustom();
+    this.populatePlatforms();
     this.setupEventListeners();
     await this.loadSettings();
     this.updateUI();
@@ -20,6 +24,16 @@ class PopupManager {
     }, 1000);
   }
 
+  populatePlatforms() {
+    const select = document.getElementById('exportPlatform');
+    for (const platform of Platforms.all()) {
+      const option = document.createElement('option');
+      option.value = platform.id;
+      option.textContent = platform.name;
+      select.appendChild(option);
+    }
+  }
+
   async getCurrentTab() {
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -35,15 +49,6 @@ class PopupManager {
       this.saveSettings();
     });
 
-    // Session actions
-    document.getElementById('endSessionBtn').addEventListener('click', () => {
-      this.endSession();
-    });
-
-    document.getElementById('pauseSessionBtn').addEventListener('click', () => {
-      this.pauseSession();
-    });
-
     // Events
     document.getElementById('clearEventsBtn').addEventListener('click', () => {
       this.clearEvents();
@@ -53,6 +58,10 @@ class PopupManager {
       this.exportData();
     });
 
+    document.getElementById('openDashboardBtn').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+    });
+
     // Add options page link
     const optionsLink = document.createElement('a');
     optionsLink.href = 'options.html';
@@ -131,16 +140,14 @@ class PopupManager {
   }
 
   async updateUI() {
-    if (!this.currentTab) return;
-
     try {
-      // Get session info from background script
+      // Get every tracked session from the background script
       const response = await chrome.runtime.sendMessage({
-        type: 'GET_SESSION_INFO'
+        type: 'LIST_SESSIONS'
       });
 
-      if (response && response.success) {
-        this.sessionInfo = response.data;
+      this.sessions = response && response.success ? response.data : [];
+      if (this.sessions.length > 0) {
         this.showSessionInfo();
       } else {
         this.showNoSession();
@@ -158,27 +165,115 @@ class PopupManager {
     document.getElementById('sessionInfo').style.display = 'block';
     document.getElementById('noSession').style.display = 'none';
 
-    // Update session details
-    document.getElementById('platformInfo').textContent = this.getPlatformDisplayName(this.sessionInfo.platform || 'unknown');
-    document.getElementById('problemInfo').textContent = this.sessionInfo.problemTitle || 'Unknown Problem';
-    document.getElementById('activeTimeInfo').textContent = this.formatTime(this.sessionInfo.currentActiveTime || 0);
-    document.getElementById('totalTimeInfo').textContent = this.formatTime(this.sessionInfo.totalWallTime || 0);
+    // Cards are keyed by tab so buttons survive the once-a-second refresh
+    const list = document.getElementById('sessionsList');
+    const live = new Set();
+    for (const session of this.sessions) {
+      live.add(session.tabId);
+      let card = this.sessionCards.get(session.tabId);
+      if (!card) {
+        card = this.createSessionCard(session.tabId);
+        this.sessionCards.set(session.tabId, card);
+      }
+      this.updateSessionCard(card, session);
+      list.appendChild(card); // keeps cards in session order
+    }
+    for (const [tabId, card] of this.sessionCards) {
+      if (!live.has(tabId)) {
+        card.remove();
+        this.sessionCards.delete(tabId);
+      }
+    }
 
-    // Update status indicator
+    // Header reflects this tab's session, or how many are tracked elsewhere
     const statusDot = document.getElementById('statusDot');
     const statusText = document.getElementById('statusText');
-    
-    if (this.sessionInfo.isActive) {
+    const current = this.sessions.find(s => s.tabId === this.currentTab?.id);
+
+    if (!current) {
+      statusDot.className = 'status-dot active';
+      statusText.textContent = `${this.sessions.length} tracked`;
+    } else if (!current.paused) {
       statusDot.className = 'status-dot active';
       statusText.textContent = 'Active';
     } else {
       statusDot.className = 'status-dot paused';
       statusText.textContent = 'Paused';
     }
+  }
+
+  createSessionCard(tabId) {
+    const card = document.createElement('div');
+    card.className = 'session-card';
+    card.innerHTML = `
+      <div class="session-card-header">
+        <span class="status-dot"></span>
+        <span class="session-card-title"></span>
+        <span class="session-card-badge"></span>
+      </div>
+      <div class="info-grid">
+        <div class="info-item">
+          <label>Platform:</label>
+          <span data-field="platform">-</span>
+        </div>
+        <div class="info-item">
+          <label>Verdict:</label>
+          <span data-field="verdict">-</span>
+        </div>
+        <div class="info-item">
+          <label>Active Time:</label>
+          <span data-field="active">-</span>
+        </div>
+        <div class="info-item">
+          <label>Total Time:</label>
+          <span data-field="wall">-</span>
+        </div>
+      </div>
+      <div class="session-counters" data-field="counters"></div>
+      <div class="session-actions">
+        <button class="btn btn-danger" data-action="end">End Session</button>
+        <button class="btn btn-warning" data-action="pause">Pause</button>
+      </div>
+    `;
+
+    card.querySelector('[data-action="end"]').addEventListener('click', () => {
+      this.endSession(tabId);
+    });
+    card.querySelector('[data-action="pause"]').addEventListener('click', () => {
+      this.pauseSession(tabId);
+    });
+    return card;
+  }
+
+  updateSessionCard(card, session) {
+    const field = (name) => card.querySelector(`[data-field="${name}"]`);
+    const counters = session.counters || {};
+
+    card.classList.toggle('current', session.tabId === this.currentTab?.id);
+    card.querySelector('.session-card-title').textContent = session.problemTitle || 'Unknown Problem';
+    card.querySelector('.session-card-title').title = session.url || '';
+    card.querySelector('.session-card-badge').textContent = session.tabId === this.currentTab?.id ? 'This tab' : '';
+
+    field('platform').textContent = this.getPlatformDisplayName(session.platform || 'unknown');
+    field('verdict').textContent = session.finalVerdict || '-';
+    field('active').textContent = this.formatTime(session.activeMs || 0);
+    field('wall').textContent = this.formatTime(session.wallMs || 0);
+    field('counters').textContent =
+      `${counters.keystrokes || 0} keys · ${counters.runs || 0} runs · ${counters.submissions || 0} submits`;
+
+    // Update status indicator
+    const dot = card.querySelector('.status-dot');
+    if (session.paused) {
+      dot.className = 'status-dot paused';
+    } else if (session.idle || !session.focused) {
+      dot.className = 'status-dot inactive';
+    } else {
+      dot.className = 'status-dot active';
+    }
 
     // Update session actions
-    const pauseBtn = document.getElementById('pauseSessionBtn');
-    if (this.sessionInfo.isActive) {
+    const pauseBtn = card.querySelector('[data-action="pause"]');
+    if (!session.paused) {
       pauseBtn.textContent = 'Pause';
       pauseBtn.className = 'btn btn-warning';
     } else {
@@ -200,13 +295,7 @@ class PopupManager {
   }
 
   getPlatformDisplayName(platform) {
-    const platformNames = {
-      'leetcode': 'LeetCode',
-      'geeksforgeeks': 'GeeksforGeeks',
-      'hackerrank': 'HackerRank',
-      'unknown': 'Unknown'
-    };
-    return platformNames[platform] || platform;
+    return Platforms.displayName(platform);
   }
 
   formatTime(milliseconds) {
@@ -223,15 +312,18 @@ class PopupManager {
     }
   }
 
-  async endSession() {
-    if (!this.currentTab) return;
-
+  async endSession(tabId) {
     try {
-      // Send message to content script to end session
-      await chrome.tabs.sendMessage(this.currentTab.id, {
-        type: 'END_SESSION'
+      // The background owns session state; address it by tab directly
+      const response = await chrome.runtime.sendMessage({
+        type: 'END_SESSION',
+        tabId,
+        reason: 'manual'
       });
 
+      if (!response || !response.success) {
+        throw new Error(response?.message || 'No response');
+      }
       this.showSuccess('Session ended');
       this.updateUI();
 
@@ -241,15 +333,17 @@ class PopupManager {
     }
   }
 
-  async pauseSession() {
-    if (!this.currentTab) return;
-
+  async pauseSession(tabId) {
     try {
-      // Send message to content script to pause/resume session
-      await chrome.tabs.sendMessage(this.currentTab.id, {
-        type: 'TOGGLE_SESSION'
+      const response = await chrome.runtime.sendMessage({
+        type: 'TOGGLE_SESSION',
+        tabId
       });
 
+      if (!response || !response.success) {
+        throw new Error(response?.message || 'No response');
+      }
+      this.showSuccess(response.paused ? 'Session paused' : 'Session resumed');
       this.updateUI();
 
     } catch (error) {
@@ -260,14 +354,11 @@ class PopupManager {
 
   async updateEventsList() {
     try {
-      const result = await chrome.storage.local.get(['events']);
-      const events = result.events || [];
-      
+      // Show last 10 events, newest first
+      const recentEvents = await this.history.queryEvents({ limit: 10 });
+
       const eventsList = document.getElementById('eventsList');
       eventsList.innerHTML = '';
-
-      // Show last 10 events
-      const recentEvents = events.slice(-10).reverse();
       
       if (recentEvents.length === 0) {
         eventsList.innerHTML = '<div class="event-item">No events yet</div>';
@@ -315,8 +406,10 @@ class PopupManager {
   }
 
   async clearEvents() {
+    if (!confirm('Delete all locally stored events? Session history is kept.')) return;
+
     try {
-      await chrome.storage.local.remove(['events']);
+      await this.history.clear('events');
       this.updateEventsList();
       this.showSuccess('Events cleared');
     } catch (error) {
@@ -325,16 +418,47 @@ class PopupManager {
     }
   }
 
+  // Date inputs are local calendar days; `to` includes the whole day
+  getExportFilters() {
+    const from = document.getElementById('exportFrom').value;
+    const to = document.getElementById('exportTo').value;
+    return {
+      from: from ? new Date(`${from}T00:00:00`).getTime() : undefined,
+      to: to ? new Date(`${to}T23:59:59.999`).getTime() : undefined,
+      platform: document.getElementById('exportPlatform').value || undefined
+    };
+  }
+
   async exportData() {
     try {
-      const result = await chrome.storage.local.get(['events', 'retryQueue']);
-      const dataStr = JSON.stringify(result, null, 2);
-      const dataBlob = new Blob([dataStr], { type: 'application/json' });
-      
+      const format = document.getElementById('exportFormat').value;
+      const filters = this.getExportFilters();
+      const day = new Date().toISOString().split('T')[0];
+
+      let content, type, filename;
+      if (format === 'ndjson') {
+        const events = await this.history.queryEvents({ ...filters, order: 'asc' });
+        content = Exporters.toNdjson(events);
+        type = 'application/x-ndjson';
+        filename = `session-tracker-events-${day}.ndjson`;
+      } else {
+        const sessions = await this.history.querySessions({ ...filters, order: 'asc' });
+        if (format === 'csv') {
+          content = Exporters.toCsv(sessions);
+          type = 'text/csv';
+          filename = `session-tracker-sessions-${day}.csv`;
+        } else {
+          content = Exporters.toSummary(sessions, filters);
+          type = 'application/json';
+          filename = `session-tracker-summary-${day}.json`;
+        }
+      }
+
+      const dataBlob = new Blob([content], { type });
       const url = URL.createObjectURL(dataBlob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = `session-tracker-data-${new Date().toISOString().split('T')[0]}.json`;
+      link.download = filename;
       link.click();
       
       URL.revokeObjectURL(url);
@@ -0,0 +1,59 @@
+/*
+  Canonical problem URLs, shared by the content script and the background
+  worker. Load it after platforms.js, with `import "./problem-url.js"`
+  (worker) or ahead of content.js in the manifest; it exposes `ProblemUrl`
+  on globalThis. The per-platform rules live in each adapter's
+  `problemPath` and `canonicalUrl`.
+
+  Every page of a problem (description, submissions, editorial, a single
+  submission, query and hash variants) maps to one canonical form:
+
+    key:  "<platform>:<slug>"  e.g. "leetcode:two-sum"
+    slug: the platform's own problem identifier, lowercased
+    url:  one canonical page URL for that problem
+
+  Problem detection, the problem registry and history aggregation all key
+  off `key`, never off the raw location.href.
+*/
+
+const ProblemUrl = {
+  /*
+    { platform, slug, key, url } for a problem page, or null when `href` is
+    not a problem page on a known platform.
+  */
+  canonicalize(href) {
+    const adapter = Platforms.forUrl(href);
+    if (!adapter) return null;
+    const slug = adapter.slugFromPath(new URL(href).pathname);
+    if (!slug) return null;
+    return { platform: adapter.id, slug, key: `${adapter.id}:${slug}`, url: adapter.canonicalUrl(slug) };
+  },
+
+  isProblemUrl(href) {
+    return this.canonicalize(href) !== null;
+  },
+
+  // Canonical key; pages outside the known platforms fall back to host + path
+  key(href) {
+    const c = this.canonicalize(href);
+    if (c) return c.key;
+    try {
+      const u = new URL(href);
+      return `${u.hostname.replace(/^www\./, "")}${u.pathname.replace(/\/+$/, "")}`.toLowerCase();
+    } catch {
+      return null;
+    }
+  },
+
+  // Canonical URL, or the input unchanged when it is not a known problem page
+  url(href) {
+    return this.canonicalize(href)?.url ?? href;
+  },
+
+  sameProblem(a, b) {
+    const ka = this.key(a);
+    return ka !== null && ka === this.key(b);
+  }
+};
+
+globalThis.ProblemUrl = ProblemUrl;
@@ -0,0 +1,46 @@
+// Regenerate the platform parts of manifest.json from the adapter registry
+// Run with: node sync-manifest.js          (rewrite manifest.json)
+//           node sync-manifest.js --check  (exit 1 if it is out of date)
+
+const fs = require('fs');
+const path = require('path');
+
+require('./platforms.js');
+
+const MANIFEST_PATH = path.join(__dirname, 'manifest.json');
+
+// Hosts the extension needs that are not coding platforms
+const EXTRA_HOST_PERMISSIONS = ['http://localhost:8082/*'];
+
+// Scripts every platform page gets, in load order
+const CONTENT_SCRIPTS = ['platforms.js', 'problem-url.js', 'content.js'];
+
+function buildManifest(manifest) {
+  const patterns = Platforms.matchPatterns();
+  return {
+    ...manifest,
+    host_permissions: [...patterns, ...EXTRA_HOST_PERMISSIONS],
+    content_scripts: [
+      {
+        ...(manifest.content_scripts?.[0] || {}),
+        matches: patterns,
+        js: CONTENT_SCRIPTS,
+        run_at: 'document_idle'
+      }
+    ]
+  };
+}
+
+const current = fs.readFileSync(MANIFEST_PATH, 'utf8');
+const next = JSON.stringify(buildManifest(JSON.parse(current)), null, 2) + '\n';
+
+if (process.argv.includes('--check')) {
+  if (next !== current) {
+    console.error('manifest.json is out of date with platforms.js; run: node sync-manifest.js');
+    process.exit(1);
+  }
+  console.log('manifest.json is up to date');
+} else {
+  fs.writeFileSync(MANIFEST_PATH, next);
+  console.log(`manifest.json updated: ${Platforms.all().length} platforms`);
+}